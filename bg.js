@@ -10,16 +10,147 @@
 // Use browser namespace for Firefox compatibility, with chrome fallback
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-// Production configuration - set DEBUG to false for release builds
+// Production configuration - set DEBUG to false for release builds.
+// Verbose logging can also be switched on at runtime from the options page.
 const DEBUG = false;
 const EXTENSION_NAME = 'Download Sorter';
 
 /**
- * Secure logging function that only logs in debug mode
+ * Runtime diagnostics: the verbose logging switch and a ring buffer of
+ * recent log lines that can be exported from the options page
+ */
+class Diagnostics {
+    static VERBOSE_KEY = 'verboseLogging';
+    static LOG_KEY = 'diagnosticsLog';
+    static MAX_ENTRIES = 500;
+    static MAX_LINE_LENGTH = 1000;
+
+    static verbose = false;
+    static entries = [];
+    static flushTimer = null;
+
+    /**
+     * Load the verbose switch and, if it is on, the log kept before the
+     * background page was last unloaded
+     * @returns {Promise<void>}
+     */
+    static async load() {
+        try {
+            const result = await browserAPI.storage.local.get([this.VERBOSE_KEY, this.LOG_KEY]);
+            this.verbose = result[this.VERBOSE_KEY] === true;
+            if (this.verbose && Array.isArray(result[this.LOG_KEY])) {
+                this.entries = [...result[this.LOG_KEY], ...this.entries].slice(-this.MAX_ENTRIES);
+            }
+        } catch (error) {
+            debugLog('Could not load diagnostics settings:', error);
+        }
+    }
+
+    static async setVerbose(verbose) {
+        this.verbose = verbose === true;
+        await browserAPI.storage.local.set({ [this.VERBOSE_KEY]: this.verbose });
+        if (!this.verbose) {
+            await browserAPI.storage.local.remove(this.LOG_KEY);
+        }
+        debugLog(`Verbose logging ${this.verbose ? 'enabled' : 'disabled'}`);
+        return { verbose: this.verbose };
+    }
+
+    static formatArg(arg) {
+        if (typeof arg === 'string') return arg;
+        if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+        try {
+            return JSON.stringify(arg);
+        } catch {
+            return String(arg);
+        }
+    }
+
+    /**
+     * Add a log line to the ring buffer
+     * @param {Array} args - debugLog arguments
+     */
+    static record(args) {
+        const message = args.map(arg => this.formatArg(arg)).join(' ').substring(0, this.MAX_LINE_LENGTH);
+        this.entries.push({ time: Date.now(), message });
+        if (this.entries.length > this.MAX_ENTRIES) {
+            this.entries.splice(0, this.entries.length - this.MAX_ENTRIES);
+        }
+
+        // With verbose logging on, keep the buffer across background page unloads
+        if (this.verbose && !this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                browserAPI.storage.local.set({ [this.LOG_KEY]: this.entries }).catch(() => {});
+            }, 2000);
+        }
+    }
+
+    static async clear() {
+        this.entries = [];
+        await browserAPI.storage.local.remove(this.LOG_KEY);
+        return { success: true };
+    }
+
+    /**
+     * Build the redacted plain-text report offered for download in bug reports
+     * @returns {Promise<string>} Report text
+     */
+    static async buildReport() {
+        const manifest = browserAPI.runtime.getManifest();
+        const profiles = await ProfileManager.getProfiles();
+        const activeProfileId = await ProfileManager.getActiveProfileId();
+        const rules = await StorageManager.getRules();
+        const storage = await StorageManager.getStorageStatus();
+        const apis = checkApiAvailability();
+
+        const lines = [
+            `${EXTENSION_NAME} diagnostics`,
+            `Generated: ${new Date().toISOString()}`,
+            `Extension version: ${manifest.version}`,
+            `Browser: ${typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown'}`,
+            `Settings schema: ${await SettingsSchema.getStoredVersion()} (current ${SettingsSchema.VERSION})`,
+            `Verbose logging: ${this.verbose ? 'on' : 'off'}`,
+            `Sorting paused: ${await SortingSwitch.isPaused() ? 'yes' : 'no'}`,
+            `Profiles: ${profiles.length} (active: ${activeProfileId})`,
+            `Rules in active profile: ${rules.length} (${rules.filter(rule => rule.enabled === false).length} disabled)`,
+            `Sync storage: ${storage.bytesInUse} of ${storage.quotaBytes} bytes` +
+                (storage.localOnlyKeys.length > 0 ? `, local only: ${storage.localOnlyKeys.join(', ')}` : ''),
+            '',
+            'API availability:',
+            ...Object.entries(apis).map(([name, available]) => `  ${name}: ${available ? 'yes' : 'NO'}`),
+            '',
+            `Recent log (${this.entries.length} lines):`,
+            ...this.entries.map(entry => `  ${new Date(entry.time).toISOString()} ${entry.message}`)
+        ];
+
+        return this.redact(lines.join('\n'));
+    }
+
+    /**
+     * Remove personal details from exported text: URL paths and queries,
+     * home directory names and email addresses
+     * @param {string} text - Text to redact
+     * @returns {string} Redacted text
+     */
+    static redact(text) {
+        return String(text)
+            .replace(/\b((?:https?|ftp|blob|file):\/\/[^/\s"'<>]*)[^\s"'<>]*/gi, '$1/…')
+            .replace(/([/\\](?:home|Users)[/\\])[^/\\\s"']+/gi, '$1…')
+            .replace(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]');
+    }
+}
+
+/**
+ * Logging function that records to the diagnostics buffer and writes to the
+ * console, in debug mode or when verbose logging is switched on. Otherwise
+ * the arguments are not even formatted, so logging stays cheap inside
+ * blocking request handlers.
  * @param {...any} args - Arguments to log
  */
 function debugLog(...args) {
-    if (DEBUG) {
+    if (DEBUG || Diagnostics.verbose) {
+        Diagnostics.record(args);
         console.log(`[${EXTENSION_NAME}]`, new Date().toISOString(), ...args);
     }
 }
@@ -45,6 +176,44 @@ const SecurityUtils = {
             || 'downloads'; // Fallback to safe default
     },
 
+    /**
+     * Sanitize a single path segment, removing separators and traversal
+     * @param {string} segment - Path segment to sanitize
+     * @returns {string} Sanitized segment, possibly empty
+     */
+    sanitizePathSegment(segment) {
+        if (typeof segment !== 'string') return '';
+
+        return segment
+            .replace(/[<>:"/\\|?*\x00-\x1f]/g, '') // Remove invalid filename characters
+            .replace(/\.\./g, '') // Remove directory traversal
+            .replace(/^\.+/, '') // Remove leading dots
+            .replace(/[. ]+$/, '') // Remove trailing dots and spaces
+            .trim()
+            .substring(0, 100); // Limit length
+    },
+
+    /**
+     * Sanitize a relative folder path such as "images/2025/01". Each segment is
+     * sanitized on its own and empty or traversal segments are dropped, so the
+     * result always stays inside the downloads directory.
+     * @param {string} folderPath - Folder path to sanitize
+     * @returns {string} Sanitized folder path
+     */
+    sanitizeFolderPath(folderPath) {
+        if (typeof folderPath !== 'string') return 'downloads';
+
+        return folderPath
+            .split(/[/\\]+/)
+            .map(segment => this.sanitizePathSegment(segment))
+            .filter(Boolean)
+            .slice(0, 10) // Limit nesting depth
+            .join('/')
+            .substring(0, 200)
+            .replace(/\/+$/, '')
+            || 'downloads'; // Fallback to safe default
+    },
+
     /**
      * Validate file extension pattern
      * @param {string} pattern - Extension pattern to validate
@@ -57,6 +226,30 @@ const SecurityUtils = {
         return /^[a-zA-Z0-9,.*]+$/.test(pattern);
     },
 
+    /**
+     * Validate source host pattern (e.g. "github.com,*.intranet.local")
+     * @param {string} pattern - Host pattern to validate
+     * @returns {boolean} Whether pattern is safe
+     */
+    isValidHostPattern(pattern) {
+        if (typeof pattern !== 'string' || pattern.length > 200) return false;
+
+        // Only allow hostname characters, comma, asterisk
+        return /^[a-zA-Z0-9,.*-]+$/.test(pattern);
+    },
+
+    /**
+     * Validate MIME type pattern (e.g. "image/*,application/pdf")
+     * @param {string} pattern - MIME type pattern to validate
+     * @returns {boolean} Whether pattern is safe
+     */
+    isValidMimePattern(pattern) {
+        if (typeof pattern !== 'string' || pattern.length > 200) return false;
+
+        // Only allow MIME token characters, slash, comma, asterisk
+        return /^[a-zA-Z0-9,.*\/+-]+$/.test(pattern);
+    },
+
     /**
      * Validate URL to prevent malicious redirects
      * @param {string} url - URL to validate
@@ -77,12 +270,12 @@ debugLog('Background script starting...');
 
 // Default rules configuration
 const DEFAULT_RULES = [
-    { id: 'default-1', extension: "jpg,jpeg,gif,png,webp,svg", foldername: "images" },
-    { id: 'default-2', extension: "zip,7z,tar,gz,rar", foldername: "compression" },
-    { id: 'default-3', extension: "exe,msi,dmg,deb", foldername: "executables" },
-    { id: 'default-4', extension: "pdf,doc,docx,txt,rtf", foldername: "documents" },
-    { id: 'default-5', extension: "mp4,avi,mkv,mov,wmv", foldername: "videos" },
-    { id: 'default-6', extension: "mp3,wav,flac,aac,m4a", foldername: "audio" }
+    { id: 'default-1', name: "Images", extension: "jpg,jpeg,gif,png,webp,svg", foldername: "images" },
+    { id: 'default-2', name: "Compression", extension: "zip,7z,tar,gz,rar", foldername: "compression" },
+    { id: 'default-3', name: "Executables", extension: "exe,msi,dmg,deb", foldername: "executables" },
+    { id: 'default-4', name: "Documents", extension: "pdf,doc,docx,txt,rtf", foldername: "documents" },
+    { id: 'default-5', name: "Videos", extension: "mp4,avi,mkv,mov,wmv", foldername: "videos" },
+    { id: 'default-6', name: "Audio", extension: "mp3,wav,flac,aac,m4a", foldername: "audio" }
 ];
 
 const DEFAULT_FOLDER = "downloads";
@@ -91,6 +284,24 @@ const DEFAULT_FOLDER = "downloads";
  * Secure storage management with validation and fallback mechanisms
  */
 class StorageManager {
+    // storage.sync allows 8 KB per item and 100 KB in total
+    static SYNC_ITEM_BYTES = 7000;
+    static SYNC_QUOTA_BYTES = 102400;
+    static MAX_CHUNKS = 64;
+    static REVISION_KEY = 'settingsRevision';
+
+    // Shown next to the field checkRule reports as invalid
+    static RULE_ERROR_MESSAGES = {
+        rule: 'This rule could not be read.',
+        extension: 'Use letters, digits, commas, dots and *, e.g. pdf,doc or *.',
+        source: 'Use host names separated by commas, e.g. github.com,*.example.org.',
+        mime: 'Use content types separated by commas, e.g. image/*,application/pdf.',
+        conditions: 'Set an extension, a site, a content type or a condition.',
+        conditionTree: 'Complete or remove each condition, e.g. pdf, invoice-*.pdf, bank.example.com or a size in MB.',
+        foldername: 'Enter a folder.',
+        rename: 'This is not a valid regular expression.'
+    };
+
     /**
      * Get value from storage with security validation
      * @param {string} key - Storage key
@@ -167,51 +378,314 @@ class StorageManager {
         }
     }
 
+    static byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    static chunkKey(key, index) {
+        return `${key}_chunk_${index}`;
+    }
+
+    /**
+     * Split a string into pieces that each fit in one sync storage item
+     * @param {string} text - Text to split
+     * @returns {string[]} Chunks, in order
+     */
+    static splitIntoChunks(text) {
+        const chunks = [];
+        let start = 0;
+
+        while (start < text.length) {
+            let end = Math.min(text.length, start + this.SYNC_ITEM_BYTES);
+
+            // Shrink until the stored (JSON-encoded, UTF-8) size fits
+            while (end - start > 1 && this.byteLength(JSON.stringify(text.substring(start, end))) > this.SYNC_ITEM_BYTES) {
+                end = start + Math.floor((end - start) / 2);
+            }
+
+            chunks.push(text.substring(start, end));
+            start = end;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Keys whose values did not fit in sync storage and are kept in storage.local instead
+     * @returns {Promise<string[]>} Storage keys
+     */
+    static async getLocalFallbackKeys() {
+        try {
+            const result = await browserAPI.storage.local.get('storageFallback');
+            return Array.isArray(result.storageFallback) ? result.storageFallback : [];
+        } catch (error) {
+            debugLog('Error reading storage fallback keys:', error.message);
+            return [];
+        }
+    }
+
+    static async setLocalFallback(key, enabled) {
+        const keys = await this.getLocalFallbackKeys();
+        const updated = enabled
+            ? Array.from(new Set([...keys, key]))
+            : keys.filter(existing => existing !== key);
+
+        if (updated.length !== keys.length) {
+            await browserAPI.storage.local.set({ storageFallback: updated });
+        }
+        if (!enabled) {
+            await browserAPI.storage.local.remove(key);
+        }
+    }
+
+    /**
+     * Get a string value stored with setLarge, reassembling chunks
+     * @param {string} key - Storage key
+     * @returns {Promise<any>} Stored value or null
+     */
+    static async getLarge(key) {
+        return (await this.readLarge(key)).value;
+    }
+
+    /**
+     * Like getLarge, but tell a value that was never stored apart from one
+     * that can't be read right now
+     * @param {string} key - Storage key
+     * @returns {Promise<{value: any, complete: boolean}>} Stored value or null, and
+     *     false for complete when chunks are missing or storage failed
+     */
+    static async readLarge(key) {
+        try {
+            if ((await this.getLocalFallbackKeys()).includes(key)) {
+                const result = await browserAPI.storage.local.get(key);
+                debugLog(`Storage get ${key}: read from local fallback`);
+                return { value: result[key] !== undefined ? result[key] : null, complete: true };
+            }
+
+            const stored = await this.get(key);
+            if (!stored || typeof stored !== 'object' || !Number.isInteger(stored.chunks)) {
+                return { value: stored, complete: true };
+            }
+
+            const chunkCount = Math.min(stored.chunks, this.MAX_CHUNKS);
+            const chunkKeys = Array.from({ length: chunkCount }, (_, index) => this.chunkKey(key, index));
+            const result = await browserAPI.storage.sync.get(chunkKeys);
+
+            // Chunks can arrive one by one while another device syncs
+            if (chunkKeys.some(chunkKey => typeof result[chunkKey] !== 'string')) {
+                debugLog(`Storage get ${key}: incomplete chunks`);
+                return { value: null, complete: false };
+            }
+
+            debugLog(`Storage get ${key}: reassembled ${chunkCount} chunks`);
+            return { value: chunkKeys.map(chunkKey => result[chunkKey]).join(''), complete: true };
+        } catch (error) {
+            debugLog(`Critical error getting ${key} from storage:`, error.message);
+            return { value: null, complete: false };
+        }
+    }
+
+    /**
+     * Store a string value of any size. Values too big for one sync item are
+     * split across numbered chunk keys; if sync storage is full, the value is
+     * kept in storage.local and the key is reported by getStorageStatus.
+     * @param {string} key - Storage key
+     * @param {string} value - String value to store
+     * @returns {Promise<boolean>} Success status
+     */
+    static async setLarge(key, value) {
+        if (typeof key !== 'string' || key.length > 40 || typeof value !== 'string') {
+            debugLog('Invalid large storage write:', key);
+            return false;
+        }
+
+        try {
+            const previous = await this.get(key);
+            const previousChunks = previous && Number.isInteger(previous.chunks) ? previous.chunks : 0;
+
+            const items = {};
+            let chunkCount = 0;
+            if (this.byteLength(JSON.stringify(value)) <= this.SYNC_ITEM_BYTES) {
+                items[key] = value;
+            } else {
+                const chunks = this.splitIntoChunks(value);
+                chunkCount = chunks.length;
+                if (chunkCount > this.MAX_CHUNKS) {
+                    throw new Error(`Value needs ${chunkCount} chunks`);
+                }
+                chunks.forEach((chunk, index) => {
+                    items[this.chunkKey(key, index)] = chunk;
+                });
+                items[key] = { chunks: chunkCount };
+            }
+
+            try {
+                await browserAPI.storage.sync.set(items);
+
+                // Drop chunks left over from a previously larger value
+                const staleKeys = [];
+                for (let index = chunkCount; index < previousChunks; index++) {
+                    staleKeys.push(this.chunkKey(key, index));
+                }
+                if (staleKeys.length > 0) {
+                    await browserAPI.storage.sync.remove(staleKeys);
+                }
+
+                await this.setLocalFallback(key, false);
+                debugLog(`Storage set ${key}: success (${chunkCount || 1} item(s))`);
+                return true;
+            } catch (syncError) {
+                debugLog(`Sync storage rejected ${key}, keeping it on this device:`, syncError.message);
+                await browserAPI.storage.local.set({ [key]: value });
+                await this.setLocalFallback(key, true);
+                return true;
+            }
+        } catch (error) {
+            debugLog(`Critical error setting ${key} in storage:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a value stored with setLarge, including its chunks and local fallback
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    static async removeLarge(key) {
+        try {
+            const stored = await this.get(key);
+            const chunkCount = stored && Number.isInteger(stored.chunks) ? Math.min(stored.chunks, this.MAX_CHUNKS) : 0;
+            const keys = [key, ...Array.from({ length: chunkCount }, (_, index) => this.chunkKey(key, index))];
+
+            await browserAPI.storage.sync.remove(keys);
+            await this.setLocalFallback(key, false);
+            debugLog(`Storage remove ${key}: ${keys.length} item(s)`);
+        } catch (error) {
+            debugLog(`Error removing ${key} from storage:`, error.message);
+        }
+    }
+
+    /**
+     * Report sync storage usage and any values kept on this device only
+     * @returns {Promise<Object>} { bytesInUse, quotaBytes, localOnlyKeys }
+     */
+    static async getStorageStatus() {
+        const quotaBytes = browserAPI.storage.sync.QUOTA_BYTES || this.SYNC_QUOTA_BYTES;
+        let bytesInUse = 0;
+
+        try {
+            if (typeof browserAPI.storage.sync.getBytesInUse === 'function') {
+                bytesInUse = await browserAPI.storage.sync.getBytesInUse(null);
+            } else {
+                // Firefox has no getBytesInUse for sync; estimate it the way the quota is measured
+                const everything = await browserAPI.storage.sync.get(null);
+                bytesInUse = Object.entries(everything).reduce((total, [key, value]) =>
+                    total + this.byteLength(key) + this.byteLength(JSON.stringify(value)), 0);
+            }
+        } catch (error) {
+            debugLog('Error measuring storage usage:', error.message);
+        }
+
+        return {
+            bytesInUse,
+            quotaBytes,
+            localOnlyKeys: await this.getLocalFallbackKeys()
+        };
+    }
+
+    /**
+     * Get the revision of the saved settings, which changes whenever rules,
+     * profiles or the default folder are written, so concurrent edits can be detected
+     * @returns {Promise<string|null>} Revision, or null if never saved
+     */
+    static async getRevision() {
+        const revision = await this.get(this.REVISION_KEY);
+        return typeof revision === 'string' ? revision : null;
+    }
+
+    /**
+     * Record that the settings changed. Revisions are random rather than
+     * counted, so two devices saving at once can't produce the same one.
+     * @returns {Promise<string>} New revision
+     */
+    static async bumpRevision() {
+        const revision = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+        await this.set(this.REVISION_KEY, revision);
+        return revision;
+    }
+
     /**
      * Get sanitized default folder
      * @returns {Promise<string>} Default folder name
      */
     static async getDefaultFolder() {
         const folder = await this.get('defaultFolder');
-        return SecurityUtils.sanitizeFolderName(folder) || DEFAULT_FOLDER;
+        return SecurityUtils.sanitizeFolderPath(folder) || DEFAULT_FOLDER;
     }
 
     /**
-     * Get validated rules array
+     * Get validated rules array. Sorting falls back to the default rules
+     * while the stored ones can't be read.
+     * @param {string} [profileId] - Profile to read, defaults to the active profile
      * @returns {Promise<Array>} Rules array
      */
-    static async getRules() {
+    static async getRules(profileId) {
+        return (await this.loadRules(profileId)).rules;
+    }
+
+    /**
+     * Read a profile's rules and report whether they are the stored ones. A
+     * profile that was never saved has the default rules; stored rules that
+     * are only partly synced or unreadable are unavailable, and must not be
+     * replaced by defaults shown as if they were the user's.
+     * @param {string} [profileId] - Profile to read, defaults to the active profile
+     * @returns {Promise<{rules: Array, available: boolean}>} Validated rules, or the
+     *     default rules with available false
+     */
+    static async loadRules(profileId) {
         try {
-            const rules = await this.get('rules');
-            let parsedRules;
+            // Older settings are converted to the current format first
+            await SettingsSchema.ensureMigrated();
 
-            if (typeof rules === 'string') {
-                try {
-                    parsedRules = JSON.parse(rules);
-                } catch (parseError) {
-                    debugLog('Failed to parse rules string, using defaults');
-                    return DEFAULT_RULES;
-                }
-            } else {
-                parsedRules = rules;
+            const key = ProfileManager.rulesKey(profileId || await ProfileManager.getActiveProfileId());
+            const { value, complete } = await this.readLarge(key);
+            if (complete && (value === null || value === undefined)) {
+                return { rules: DEFAULT_RULES, available: true };
             }
 
             // Validate rules structure and sanitize
+            const parsedRules = complete ? this.parseStoredRules(value) : null;
             if (Array.isArray(parsedRules)) {
-                return parsedRules
-                    .filter(rule => rule && typeof rule === 'object')
-                    .map(rule => ({
-                        id: String(rule.id || '').substring(0, 50),
-                        extension: SecurityUtils.isValidExtensionPattern(rule.extension) ? rule.extension : '',
-                        foldername: SecurityUtils.sanitizeFolderName(rule.foldername)
-                    }))
-                    .filter(rule => rule.extension && rule.foldername);
+                return { rules: this.validateRules(parsedRules), available: true };
             }
 
-            return DEFAULT_RULES;
+            debugLog(`Rules in ${key} are unavailable, using defaults for sorting`);
+            return { rules: DEFAULT_RULES, available: false };
         } catch (error) {
             debugLog('Error getting rules, using defaults:', error.message);
-            return DEFAULT_RULES;
+            return { rules: DEFAULT_RULES, available: false };
+        }
+    }
+
+    /**
+     * Parse rules as written by setRules: a JSON string holding an array
+     * @param {any} stored - Value returned by getLarge
+     * @returns {Array|null} Parsed rules, or null if missing or malformed
+     */
+    static parseStoredRules(stored) {
+        if (typeof stored !== 'string') {
+            if (stored !== null && stored !== undefined) {
+                debugLog('Rules are not stored as a JSON string, ignoring');
+            }
+            return null;
+        }
+
+        try {
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed) ? parsed : null;
+        } catch (parseError) {
+            debugLog('Failed to parse rules string, using defaults');
+            return null;
         }
     }
 
@@ -221,89 +695,692 @@ class StorageManager {
      * @returns {Promise<boolean>} Success status
      */
     static async setDefaultFolder(folder) {
-        const sanitizedFolder = SecurityUtils.sanitizeFolderName(folder);
-        return await this.set('defaultFolder', sanitizedFolder);
+        const sanitizedFolder = SecurityUtils.sanitizeFolderPath(folder);
+        const saved = await this.set('defaultFolder', sanitizedFolder);
+        if (saved) {
+            RuleIndex.invalidate();
+        }
+        return saved;
     }
 
     /**
      * Set rules with validation
      * @param {Array} rules - Rules array
+     * @param {string} [profileId] - Profile to write, defaults to the active profile
      * @returns {Promise<boolean>} Success status
      */
-    static async setRules(rules) {
+    static async setRules(rules, profileId) {
         if (!Array.isArray(rules)) {
             debugLog('Invalid rules format, must be array');
             return false;
         }
 
         // Validate and sanitize each rule
-        const validatedRules = rules
-            .filter(rule => rule && typeof rule === 'object')
-            .map(rule => ({
-                id: String(rule.id || '').substring(0, 50),
-                extension: SecurityUtils.isValidExtensionPattern(rule.extension) ? rule.extension : '',
-                foldername: SecurityUtils.sanitizeFolderName(rule.foldername)
-            }))
-            .filter(rule => rule.extension && rule.foldername);
+        const validatedRules = this.validateRules(rules);
+
+        const key = ProfileManager.rulesKey(profileId || await ProfileManager.getActiveProfileId());
+        const saved = await this.setLarge(key, JSON.stringify(validatedRules));
 
-        return await this.set('rules', JSON.stringify(validatedRules));
+        // Writes to the localStorage fallback don't fire storage.onChanged
+        if (saved) {
+            RuleIndex.invalidate();
+        }
+        return saved;
     }
-}
 
-// File matching logic
-class FileMatcherService {
-    static getFileExtension(filename) {
-        if (!filename) return '';
-        const lastDotIndex = filename.lastIndexOf('.');
-        if (lastDotIndex === -1) return '';
-        return filename.substring(lastDotIndex + 1).toLowerCase();
+    /**
+     * Check whether a storage.onChanged event touches the active rules or
+     * default folder: rule keys and their chunks, the profile list, the
+     * active profile, or the local fallback for oversized rules
+     * @param {Object} changes - Changed keys
+     * @param {string} areaName - Storage area
+     * @returns {boolean} True if the active rules may have changed
+     */
+    static affectsRules(changes, areaName) {
+        const keys = Object.keys(changes);
+        return areaName === 'sync'
+            ? keys.some(key => key.startsWith('rules') || key === 'defaultFolder' || key === 'profiles')
+            : keys.some(key => key === 'activeProfile' || key === 'storageFallback' || key.startsWith('rules'));
     }
 
-    static getFilenameFromUrl(url) {
-        try {
-            const urlObj = new URL(url);
-            const pathname = urlObj.pathname;
-            const filename = pathname.split('/').pop();
-            
-            // Remove query parameters and fragments
-            const cleanFilename = filename.split('?')[0].split('#')[0];
-            return cleanFilename || 'download';
-        } catch (error) {
-            debugLog('Error parsing URL:', url, error);
-            return 'download';
-        }
+    /**
+     * Validate and sanitize a rules array, dropping rules without a usable
+     * condition or folder. A rule needs at least one of an extension pattern,
+     * a source host pattern, a MIME type pattern or a condition tree.
+     * @param {Array} rules - Raw rules array
+     * @returns {Array} Sanitized rules
+     */
+    static validateRules(rules) {
+        return rules
+            .map(rule => this.checkRule(rule).rule)
+            .filter(Boolean);
     }
 
-    static isLikelyDownloadableFile(url) {
-        const filename = this.getFilenameFromUrl(url);
-        const extension = this.getFileExtension(filename);
-        
-        // Common downloadable file extensions - excluding subtitle/streaming files
-        const downloadableExtensions = [
-            'pdf', 'doc', 'docx', 'txt', 'rtf', 'odt',
-            'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico',
-            'mp4', 'avi', 'mkv', 'mov', 'wmv', 'flv', 'webm',
-            'mp3', 'wav', 'flac', 'aac', 'm4a', 'ogg',
-            'zip', '7z', 'tar', 'gz', 'rar', 'bz2',
-            'exe', 'msi', 'dmg', 'deb', 'rpm', 'pkg',
-            'xml', 'json', 'csv', 'xls', 'xlsx', 'ppt', 'pptx',
-            'iso', 'img', 'bin', 'apk', 'jar'
-        ];
+    /**
+     * Normalize one rule and report which of its fields are invalid. Patterns
+     * are lowercased and stripped of whitespace before they are validated.
+     * A condition tree replaces the extension, source and MIME patterns, which
+     * are then left empty.
+     * @param {Object} rule - Rule as entered in the options page or read from storage
+     * @returns {{rule: Object|null, errors: string[]}} The normalized rule, or null with the invalid field names
+     */
+    static checkRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return { rule: null, errors: ['rule'] };
+        }
 
-        // Extensions that should NOT be auto-downloaded (streaming/subtitle files)
-        const excludedExtensions = ['vtt', 'srt', 'ass', 'm3u8', 'ts'];
-        
-        if (excludedExtensions.includes(extension)) {
-            debugLog(`Excluded extension detected: ${extension}, skipping download`);
-            return false;
+        const tree = ConditionTree.normalize(rule.conditions);
+        const conditions = tree.valid ? tree.tree : null;
+        const compact = value => !conditions && typeof value === 'string' ? value.replace(/\s/g, '').toLowerCase() : '';
+        const extension = compact(rule.extension);
+        const source = compact(rule.source);
+        const mime = compact(rule.mime);
+        const hasFolder = typeof rule.foldername === 'string' && rule.foldername.trim() !== '';
+
+        const errors = [];
+        if (!tree.valid) errors.push('conditionTree');
+        if (extension && !SecurityUtils.isValidExtensionPattern(extension)) errors.push('extension');
+        if (source && !SecurityUtils.isValidHostPattern(source)) errors.push('source');
+        if (mime && !SecurityUtils.isValidMimePattern(mime)) errors.push('mime');
+        if (tree.valid && !conditions && !extension && !source && !mime) errors.push('conditions');
+        if (!hasFolder) errors.push('foldername');
+        if (rule.rename && typeof rule.rename.find === 'string' && rule.rename.find &&
+            (rule.rename.find.length > FilenameRewriter.MAX_PATTERN_LENGTH || !FilenameRewriter.compile(rule.rename.find))) {
+            errors.push('rename');
         }
-        
-        const isDownloadable = extension && downloadableExtensions.includes(extension);
-        debugLog(`File extension check: ${filename} -> ${extension} -> downloadable: ${isDownloadable}`);
-        return isDownloadable;
+
+        if (errors.length > 0) {
+            return { rule: null, errors };
+        }
+
+        return {
+            rule: {
+                id: String(rule.id || '').substring(0, 50),
+                name: typeof rule.name === 'string' ? rule.name.trim().substring(0, 50) : '',
+                extension,
+                source,
+                mime,
+                conditions,
+                foldername: SecurityUtils.sanitizeFolderPath(rule.foldername),
+                enabled: rule.enabled !== false,
+                rename: FilenameRewriter.normalize(rule.rename),
+                duplicatePolicy: DuplicateDetector.POLICIES.includes(rule.duplicatePolicy) ? rule.duplicatePolicy : 'uniquify'
+            },
+            errors
+        };
     }
 
-    static createRegexPattern(extensionPattern) {
+    /**
+     * Validate settings entered in the options page without saving them, and
+     * warn about rules that earlier rules keep from matching
+     * @param {Array} rules - Rules in display order
+     * @param {string} defaultFolder - Default folder as typed
+     * @returns {{rules: Array, errors: Array<{index: number, fields: string[], messages: Object}>,
+     *     warnings: Array<{index: number, message: string}>, defaultFolder: string}}
+     */
+    static checkSettings(rules, defaultFolder) {
+        const valid = [];
+        const rows = [];
+        const errors = [];
+
+        (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+            const result = this.checkRule(rule);
+            if (result.rule) {
+                valid.push(result.rule);
+                rows.push(index);
+            } else {
+                const messages = {};
+                result.errors.forEach(field => { messages[field] = this.RULE_ERROR_MESSAGES[field]; });
+                errors.push({ index, fields: result.errors, messages });
+            }
+        });
+
+        const describe = index => {
+            const name = valid[index].name;
+            return `Rule ${rows[index] + 1}${name ? ` (${name})` : ''}`;
+        };
+        const warnings = FileMatcherService.findShadowedRules(valid).map(shadow => {
+            const extensions = shadow.extensions.map(extension => `.${extension}`).join(', ');
+            let message = shadow.wildcard
+                ? `${describe(shadow.by)} comes first and its wildcard also catches ${extensions} files.`
+                : `${describe(shadow.by)} comes first and also claims ${extensions}.`;
+            if (shadow.complete) {
+                message += ' This rule never matches.';
+            }
+            return { index: rows[shadow.index], message };
+        });
+
+        return {
+            rules: valid,
+            errors,
+            warnings,
+            defaultFolder: SecurityUtils.sanitizeFolderPath(defaultFolder || DEFAULT_FOLDER)
+        };
+    }
+}
+
+/**
+ * Versioned settings schema. Each migration upgrades stored settings by one
+ * version; the version reached is saved after every step, so an interrupted
+ * upgrade resumes where it stopped.
+ */
+class SettingsSchema {
+    static VERSION = 1;
+    static STORAGE_KEY = 'schemaVersion';
+    // Local copy of rules a migration could not read, e.g. "unreadableRules_default"
+    static BACKUP_PREFIX = 'unreadableRules_';
+
+    static MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Store every profile\'s rules as one validated JSON string',
+            async run() {
+                for (const profile of await ProfileManager.getProfiles()) {
+                    const stored = await StorageManager.getLarge(ProfileManager.rulesKey(profile.id));
+                    if (stored === null || stored === undefined) continue;
+
+                    // Version 1.0 saved a plain array from the options page and a JSON string from the background
+                    const rules = Array.isArray(stored) ? stored : StorageManager.parseStoredRules(stored);
+                    if (!rules) {
+                        // Left as they are, so they are reported as unavailable rather than replaced
+                        debugLog(`Unreadable rules in profile ${profile.id}, leaving them unchanged`);
+                        await SettingsSchema.backUp(profile.id, stored);
+                        continue;
+                    }
+                    if (!await StorageManager.setRules(rules, profile.id)) {
+                        throw new Error(`Could not rewrite rules for profile ${profile.id}`);
+                    }
+                }
+
+                const folder = await StorageManager.get('defaultFolder');
+                if (folder !== null && folder !== undefined) {
+                    await StorageManager.setDefaultFolder(folder);
+                }
+            }
+        }
+    ];
+
+    static migrationPromise = null;
+
+    /**
+     * Keep a local copy of rules that could not be read, so they can still be
+     * recovered by hand if they are later overwritten
+     * @param {string} profileId - Profile the rules belong to
+     * @param {*} stored - Rules as stored
+     * @returns {Promise<void>}
+     */
+    static async backUp(profileId, stored) {
+        const key = this.BACKUP_PREFIX + profileId;
+        try {
+            await browserAPI.storage.local.set({ [key]: stored });
+            debugLog(`Copied unreadable rules to local storage key ${key}`);
+        } catch (error) {
+            debugLog(`Could not back up unreadable rules to ${key}:`, error.message);
+        }
+    }
+
+    static async getStoredVersion() {
+        const version = await StorageManager.get(this.STORAGE_KEY);
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    static async markCurrent() {
+        return await StorageManager.set(this.STORAGE_KEY, this.VERSION);
+    }
+
+    /**
+     * Run pending migrations once per background page load
+     * @returns {Promise<Object>} { from, to } versions
+     */
+    static ensureMigrated() {
+        if (!this.migrationPromise) {
+            this.migrationPromise = this.migrate().catch(error => {
+                debugLog('Settings migration failed, will retry:', error.message);
+                this.migrationPromise = null;
+                return { error: error.message };
+            });
+        }
+        return this.migrationPromise;
+    }
+
+    static async migrate() {
+        const from = await this.getStoredVersion();
+
+        if (from > this.VERSION) {
+            // Settings written by a newer version, e.g. synced from another device
+            debugLog(`Settings schema ${from} is newer than ${this.VERSION}, leaving it unchanged`);
+            return { from, to: from };
+        }
+
+        for (const migration of this.MIGRATIONS) {
+            if (migration.version <= from) continue;
+
+            debugLog(`Migrating settings to version ${migration.version}: ${migration.description}`);
+            await migration.run();
+            if (!await StorageManager.set(this.STORAGE_KEY, migration.version)) {
+                throw new Error(`Could not record settings version ${migration.version}`);
+            }
+            await StorageManager.bumpRevision();
+        }
+
+        return { from, to: this.VERSION };
+    }
+}
+
+/**
+ * Named rule sets ("profiles") such as Work or Personal. The profile list is
+ * synced; which profile is active is chosen per device.
+ */
+class ProfileManager {
+    static DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+    static MAX_PROFILES = 20;
+
+    /**
+     * Storage key holding a profile's rules. The default profile keeps the
+     * original "rules" key so existing settings carry over unchanged.
+     * @param {string} profileId - Profile ID
+     * @returns {string} Storage key
+     */
+    static rulesKey(profileId) {
+        return profileId === this.DEFAULT_PROFILE.id ? 'rules' : `rules_${profileId}`;
+    }
+
+    static sanitizeName(name) {
+        if (typeof name !== 'string') return '';
+        return name.replace(/[\x00-\x1f]/g, '').trim().substring(0, 40);
+    }
+
+    static isValidId(profileId) {
+        return typeof profileId === 'string' && /^[a-z0-9]{1,20}$/.test(profileId);
+    }
+
+    /**
+     * Get the profile list, always starting with the default profile
+     * @returns {Promise<Array<{id: string, name: string}>>} Profiles
+     */
+    static async getProfiles() {
+        const stored = await StorageManager.get('profiles');
+        const profiles = (Array.isArray(stored) ? stored : [])
+            .filter(profile => profile && this.isValidId(profile.id) && profile.id !== this.DEFAULT_PROFILE.id)
+            .map(profile => ({ id: profile.id, name: this.sanitizeName(profile.name) || profile.id }));
+
+        const storedDefault = Array.isArray(stored) && stored.find(profile => profile && profile.id === this.DEFAULT_PROFILE.id);
+        const defaultName = (storedDefault && this.sanitizeName(storedDefault.name)) || this.DEFAULT_PROFILE.name;
+
+        return [{ id: this.DEFAULT_PROFILE.id, name: defaultName }, ...profiles];
+    }
+
+    static async saveProfiles(profiles) {
+        return await StorageManager.set('profiles', profiles);
+    }
+
+    /**
+     * Get the active profile ID for this device
+     * @returns {Promise<string>} Profile ID, falling back to the default profile
+     */
+    static async getActiveProfileId() {
+        try {
+            const result = await browserAPI.storage.local.get('activeProfile');
+            const profileId = result.activeProfile;
+            if (profileId && profileId !== this.DEFAULT_PROFILE.id) {
+                const profiles = await this.getProfiles();
+                if (profiles.some(profile => profile.id === profileId)) {
+                    return profileId;
+                }
+            }
+        } catch (error) {
+            debugLog('Error reading active profile:', error.message);
+        }
+        return this.DEFAULT_PROFILE.id;
+    }
+
+    static async setActiveProfile(profileId) {
+        const profiles = await this.getProfiles();
+        const profile = profiles.find(item => item.id === profileId);
+        if (!profile) {
+            return { error: 'That profile no longer exists.' };
+        }
+
+        await browserAPI.storage.local.set({ activeProfile: profile.id });
+        await this.updateToolbarTitle();
+        debugLog('Active profile set:', profile);
+        return { success: true };
+    }
+
+    /**
+     * Create a profile, optionally copying the rules of another one
+     * @param {string} name - Profile name
+     * @param {string} [cloneFromId] - Profile whose rules to copy
+     * @returns {Promise<Object>} { profile } or { error }
+     */
+    static async createProfile(name, cloneFromId) {
+        const sanitizedName = this.sanitizeName(name);
+        if (!sanitizedName) {
+            return { error: 'Please enter a profile name.' };
+        }
+
+        const profiles = await this.getProfiles();
+        if (profiles.length >= this.MAX_PROFILES) {
+            return { error: `You can have at most ${this.MAX_PROFILES} profiles.` };
+        }
+        if (profiles.some(profile => profile.name.toLowerCase() === sanitizedName.toLowerCase())) {
+            return { error: 'A profile with that name already exists.' };
+        }
+
+        const profile = { id: 'p' + Date.now().toString(36), name: sanitizedName };
+        let rules = DEFAULT_RULES;
+        if (cloneFromId && profiles.some(item => item.id === cloneFromId)) {
+            const cloned = await StorageManager.loadRules(cloneFromId);
+            if (!cloned.available) {
+                return { error: 'The rules to copy could not be read. Please try again later.' };
+            }
+            rules = cloned.rules;
+        }
+
+        if (!await StorageManager.setRules(rules, profile.id)) {
+            return { error: 'Could not save the new profile.' };
+        }
+        await this.saveProfiles([...profiles, profile]);
+        const revision = await StorageManager.bumpRevision();
+
+        debugLog('Profile created:', profile);
+        return { profile, revision };
+    }
+
+    static async renameProfile(profileId, name) {
+        const sanitizedName = this.sanitizeName(name);
+        if (!sanitizedName) {
+            return { error: 'Please enter a profile name.' };
+        }
+
+        const profiles = await this.getProfiles();
+        const profile = profiles.find(item => item.id === profileId);
+        if (!profile) {
+            return { error: 'That profile no longer exists.' };
+        }
+        if (profiles.some(item => item.id !== profileId && item.name.toLowerCase() === sanitizedName.toLowerCase())) {
+            return { error: 'A profile with that name already exists.' };
+        }
+
+        profile.name = sanitizedName;
+        await this.saveProfiles(profiles);
+        await this.updateToolbarTitle();
+        return { profile };
+    }
+
+    static async deleteProfile(profileId) {
+        if (profileId === this.DEFAULT_PROFILE.id) {
+            return { error: 'The default profile cannot be deleted.' };
+        }
+
+        const profiles = await this.getProfiles();
+        if (!profiles.some(profile => profile.id === profileId)) {
+            return { error: 'That profile no longer exists.' };
+        }
+
+        if (await this.getActiveProfileId() === profileId) {
+            await this.setActiveProfile(this.DEFAULT_PROFILE.id);
+        }
+
+        await this.saveProfiles(profiles.filter(profile => profile.id !== profileId));
+        await StorageManager.removeLarge(this.rulesKey(profileId));
+        const revision = await StorageManager.bumpRevision();
+
+        debugLog('Profile deleted:', profileId);
+        return { success: true, revision };
+    }
+
+    /**
+     * Show the active profile in the toolbar button tooltip
+     * @returns {Promise<void>}
+     */
+    static async updateToolbarTitle() {
+        if (!browserAPI.browserAction || !browserAPI.browserAction.setTitle) return;
+
+        try {
+            const profiles = await this.getProfiles();
+            const activeId = await this.getActiveProfileId();
+            const active = profiles.find(profile => profile.id === activeId);
+
+            const paused = await SortingSwitch.isPaused();
+            let title = profiles.length > 1 && active
+                ? `Download Sorter - ${active.name} profile`
+                : 'Download Sorter - Organize your downloads';
+            if (paused) {
+                title = 'Download Sorter - Paused';
+            }
+
+            await browserAPI.browserAction.setTitle({ title });
+        } catch (error) {
+            debugLog('Error updating toolbar title:', error.message);
+        }
+    }
+}
+
+/**
+ * Master on/off switch for sorting on this device, shown as a toolbar badge.
+ * The state is cached so blocking request handlers don't wait on storage
+ * more than once per background page load.
+ */
+class SortingSwitch {
+    static STORAGE_KEY = 'sortingPaused';
+    static paused = null;
+
+    /**
+     * Check whether sorting is paused
+     * @returns {Promise<boolean>} True when paused
+     */
+    static async isPaused() {
+        if (this.paused === null) {
+            try {
+                const result = await browserAPI.storage.local.get(this.STORAGE_KEY);
+                this.paused = result[this.STORAGE_KEY] === true;
+            } catch (error) {
+                debugLog('Error reading pause state:', error.message);
+                return false;
+            }
+        }
+        return this.paused;
+    }
+
+    static async setPaused(paused) {
+        this.paused = paused === true;
+        await browserAPI.storage.local.set({ [this.STORAGE_KEY]: this.paused });
+        await this.updateBadge();
+        await ProfileManager.updateToolbarTitle();
+        debugLog(this.paused ? 'Sorting paused' : 'Sorting resumed');
+        return { paused: this.paused };
+    }
+
+    static async updateBadge() {
+        if (!browserAPI.browserAction || !browserAPI.browserAction.setBadgeText) return;
+
+        try {
+            const paused = await this.isPaused();
+            await browserAPI.browserAction.setBadgeText({ text: paused ? 'OFF' : '' });
+            if (paused && browserAPI.browserAction.setBadgeBackgroundColor) {
+                await browserAPI.browserAction.setBadgeBackgroundColor({ color: '#7f8c8d' });
+            }
+        } catch (error) {
+            debugLog('Error updating badge:', error.message);
+        }
+    }
+}
+
+// File matching logic
+class FileMatcherService {
+    // Regular expressions built from rule patterns, see cachedPattern
+    static patternCache = new Map();
+    static MAX_CACHED_PATTERNS = 500;
+
+    // Preferred extension for common Content-Type values, used when a download has none
+    static mimeExtensions = {
+        'application/pdf': 'pdf',
+        'application/msword': 'doc',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+        'application/vnd.ms-excel': 'xls',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+        'application/vnd.ms-powerpoint': 'ppt',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+        'application/vnd.oasis.opendocument.text': 'odt',
+        'application/rtf': 'rtf',
+        'application/json': 'json',
+        'application/xml': 'xml',
+        'application/zip': 'zip',
+        'application/x-zip-compressed': 'zip',
+        'application/x-7z-compressed': '7z',
+        'application/x-rar-compressed': 'rar',
+        'application/vnd.rar': 'rar',
+        'application/x-tar': 'tar',
+        'application/gzip': 'gz',
+        'application/x-gzip': 'gz',
+        'application/x-bzip2': 'bz2',
+        'application/x-msdownload': 'exe',
+        'application/x-msi': 'msi',
+        'application/x-apple-diskimage': 'dmg',
+        'application/vnd.debian.binary-package': 'deb',
+        'application/x-rpm': 'rpm',
+        'application/vnd.android.package-archive': 'apk',
+        'application/java-archive': 'jar',
+        'application/x-iso9660-image': 'iso',
+        'text/plain': 'txt',
+        'text/csv': 'csv',
+        'text/xml': 'xml',
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/gif': 'gif',
+        'image/webp': 'webp',
+        'image/svg+xml': 'svg',
+        'image/bmp': 'bmp',
+        'image/x-icon': 'ico',
+        'image/vnd.microsoft.icon': 'ico',
+        'video/mp4': 'mp4',
+        'video/webm': 'webm',
+        'video/x-matroska': 'mkv',
+        'video/quicktime': 'mov',
+        'video/x-msvideo': 'avi',
+        'video/x-ms-wmv': 'wmv',
+        'audio/mpeg': 'mp3',
+        'audio/wav': 'wav',
+        'audio/x-wav': 'wav',
+        'audio/flac': 'flac',
+        'audio/aac': 'aac',
+        'audio/mp4': 'm4a',
+        'audio/ogg': 'ogg'
+    };
+
+    /**
+     * Strip parameters from a Content-Type value
+     * @param {string} contentType - Raw header value, e.g. "text/csv; charset=utf-8"
+     * @returns {string} Lowercase MIME type, or empty string
+     */
+    static normalizeMimeType(contentType) {
+        if (typeof contentType !== 'string') return '';
+        return contentType.split(';')[0].trim().toLowerCase();
+    }
+
+    static getExtensionForMimeType(contentType) {
+        return this.mimeExtensions[this.normalizeMimeType(contentType)] || '';
+    }
+
+    /**
+     * Append an extension inferred from the MIME type when the filename has none
+     * @param {string} filename - Filename to check
+     * @param {string} [contentType] - Content-Type of the download
+     * @returns {string} Filename with an extension where one could be inferred
+     */
+    static ensureExtension(filename, contentType) {
+        if (!filename || this.getFileExtension(filename)) return filename;
+
+        const extension = this.getExtensionForMimeType(contentType);
+        if (extension) {
+            debugLog(`Inferred extension "${extension}" for ${filename} from ${contentType}`);
+            return `${filename}.${extension}`;
+        }
+        return filename;
+    }
+
+    static getFileExtension(filename) {
+        if (!filename) return '';
+        const lastDotIndex = filename.lastIndexOf('.');
+        if (lastDotIndex === -1) return '';
+        return filename.substring(lastDotIndex + 1).toLowerCase();
+    }
+
+    static getFilenameFromUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            const pathname = urlObj.pathname;
+            const filename = pathname.split('/').pop();
+            
+            // Remove query parameters and fragments
+            const cleanFilename = filename.split('?')[0].split('#')[0];
+
+            // URL paths are percent-encoded, e.g. "Q3%20report.pdf"
+            let decodedFilename = cleanFilename;
+            try {
+                decodedFilename = decodeURIComponent(cleanFilename);
+            } catch {
+                debugLog('Filename in URL is not valid UTF-8, keeping it encoded:', cleanFilename);
+            }
+            return ContentDisposition.baseName(decodedFilename) || 'download';
+        } catch (error) {
+            debugLog('Error parsing URL:', url, error);
+            return 'download';
+        }
+    }
+
+    static isLikelyDownloadableFile(url) {
+        const filename = this.getFilenameFromUrl(url);
+        const extension = this.getFileExtension(filename);
+        
+        // Common downloadable file extensions - excluding subtitle/streaming files
+        const downloadableExtensions = [
+            'pdf', 'doc', 'docx', 'txt', 'rtf', 'odt',
+            'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico',
+            'mp4', 'avi', 'mkv', 'mov', 'wmv', 'flv', 'webm',
+            'mp3', 'wav', 'flac', 'aac', 'm4a', 'ogg',
+            'zip', '7z', 'tar', 'gz', 'rar', 'bz2',
+            'exe', 'msi', 'dmg', 'deb', 'rpm', 'pkg',
+            'xml', 'json', 'csv', 'xls', 'xlsx', 'ppt', 'pptx',
+            'iso', 'img', 'bin', 'apk', 'jar'
+        ];
+
+        // Extensions that should NOT be auto-downloaded (streaming/subtitle files)
+        const excludedExtensions = ['vtt', 'srt', 'ass', 'm3u8', 'ts'];
+        
+        if (excludedExtensions.includes(extension)) {
+            debugLog(`Excluded extension detected: ${extension}, skipping download`);
+            return false;
+        }
+        
+        const isDownloadable = extension && downloadableExtensions.includes(extension);
+        debugLog(`File extension check: ${filename} -> ${extension} -> downloadable: ${isDownloadable}`);
+        return isDownloadable;
+    }
+
+    /**
+     * Get the regular expression for a rule pattern, building it on first use.
+     * Cleared by RuleIndex when the rules change.
+     * @param {string} kind - Pattern kind, e.g. "extension"
+     * @param {string} pattern - Pattern text
+     * @param {Function} build - Builds the RegExp from the pattern
+     * @returns {RegExp} Compiled pattern
+     */
+    static cachedPattern(kind, pattern, build) {
+        const key = `${kind}:${pattern}`;
+        let regex = this.patternCache.get(key);
+        if (!regex) {
+            if (this.patternCache.size >= this.MAX_CACHED_PATTERNS) {
+                this.patternCache.clear();
+            }
+            regex = build(pattern);
+            this.patternCache.set(key, regex);
+        }
+        return regex;
+    }
+
+    static createRegexPattern(extensionPattern) {
         // Clean and normalize the pattern
         const cleanPattern = extensionPattern.toLowerCase().replace(/\s/g, '');
         
@@ -324,58 +1401,1388 @@ class FileMatcherService {
         const fileExtension = this.getFileExtension(filename);
         if (!fileExtension) return false;
 
-        debugLog(`Matching extension "${fileExtension}" against pattern "${extensionPattern}"`);
+        debugLog(`Matching extension "${fileExtension}" against pattern "${extensionPattern}"`);
+
+        // Handle simple patterns and complex patterns with wildcards/commas
+        if (extensionPattern.includes('*') || extensionPattern.includes(',')) {
+            try {
+                const pattern = this.cachedPattern('extension', extensionPattern, p => this.createRegexPattern(p));
+                const result = pattern.test(fileExtension);
+                debugLog(`Regex match result:`, result);
+                return result;
+            } catch (error) {
+                debugLog('Invalid regex pattern:', extensionPattern, error);
+                return false;
+            }
+        }
+
+        // Simple exact match
+        const result = fileExtension === extensionPattern.toLowerCase().trim();
+        debugLog(`Exact match result:`, result);
+        return result;
+    }
+
+    static getHostFromUrl(url) {
+        if (!url) return '';
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    }
+
+    static createHostRegexPattern(hostPattern) {
+        // A leading "*." matches the bare domain and any of its subdomains
+        const subdomainWildcard = hostPattern.startsWith('*.');
+        const host = subdomainWildcard ? hostPattern.substring(2) : hostPattern;
+
+        const regexPattern = host
+            .replace(/\./g, '\\.')
+            .replace(/\*/g, '[a-z0-9.-]*');
+
+        const prefix = subdomainWildcard ? '(?:[a-z0-9-]+\\.)*' : '';
+        return new RegExp(`^${prefix}${regexPattern}$`);
+    }
+
+    /**
+     * Check whether the download URL host or the referrer host matches a
+     * comma-separated host pattern list
+     * @param {string} sourcePattern - Host patterns, e.g. "github.com,*.intranet.local"
+     * @param {string} url - Download URL
+     * @param {string} [referrer] - URL of the page the download came from
+     * @returns {boolean} Whether either host matches
+     */
+    static matchesSource(sourcePattern, url, referrer) {
+        if (!sourcePattern) return false;
+
+        const hosts = [this.getHostFromUrl(url), this.getHostFromUrl(referrer)].filter(Boolean);
+        if (hosts.length === 0) return false;
+
+        const patterns = sourcePattern.toLowerCase().replace(/\s/g, '').split(',').filter(Boolean);
+        const result = patterns.some(pattern => {
+            try {
+                const regex = this.cachedPattern('host', pattern, p => this.createHostRegexPattern(p));
+                return hosts.some(host => regex.test(host));
+            } catch (error) {
+                debugLog('Invalid host pattern:', pattern, error);
+                return false;
+            }
+        });
+
+        debugLog(`Source match of ${hosts.join(', ')} against "${sourcePattern}":`, result);
+        return result;
+    }
+
+    static createMimeRegexPattern(mimePattern) {
+        const regexPattern = mimePattern
+            .replace(/[.+]/g, '\\$&')
+            .replace(/\*/g, '[^/]*');
+        return new RegExp(`^${regexPattern}$`);
+    }
+
+    /**
+     * Check a MIME type against a comma-separated pattern list such as "image/*,application/pdf"
+     * @param {string} mimePattern - MIME type patterns
+     * @param {string} contentType - Content-Type of the download
+     * @returns {boolean} Whether the MIME type matches
+     */
+    static matchesMime(mimePattern, contentType) {
+        const mimeType = this.normalizeMimeType(contentType);
+        if (!mimePattern || !mimeType) return false;
+
+        const patterns = mimePattern.toLowerCase().replace(/\s/g, '').split(',').filter(Boolean);
+        const result = patterns.some(pattern =>
+            this.cachedPattern('mime', pattern, p => this.createMimeRegexPattern(p)).test(mimeType));
+
+        debugLog(`MIME match of "${mimeType}" against "${mimePattern}":`, result);
+        return result;
+    }
+
+    /**
+     * Check a rule against a download and explain the outcome. Every condition
+     * the rule sets must match, or its condition tree if it has one.
+     * @param {Object} rule - Validated rule
+     * @param {Object} context - Download context
+     * @param {string} context.filename - Filename used for extension matching
+     * @param {string} context.url - Download URL
+     * @param {string} [context.referrer] - URL of the page the download came from
+     * @param {string} [context.mimeType] - Content-Type of the download
+     * @param {number} [context.size] - Expected size in bytes, if known
+     * @param {boolean} [context.incognito] - Whether the download came from a private window
+     * @returns {{matched: boolean, reasons: string[]}} Outcome with one reason per checked condition
+     */
+    static evaluateRule(rule, context) {
+        const reasons = [];
+
+        if (rule.enabled === false) {
+            return { matched: false, reasons: ['rule is disabled'] };
+        }
+
+        if (rule.conditions) {
+            const matched = ConditionTree.evaluate(rule.conditions, context, reasons);
+            return { matched, reasons };
+        }
+
+        if (!rule.extension && !rule.source && !rule.mime) {
+            return { matched: false, reasons: ['rule has no conditions'] };
+        }
+
+        if (rule.extension) {
+            const extension = this.getFileExtension(context.filename) || '(none)';
+            if (!this.matches(rule.extension, context.filename)) {
+                reasons.push(`extension "${extension}" does not match "${rule.extension}"`);
+                return { matched: false, reasons };
+            }
+            reasons.push(`extension "${extension}" matches "${rule.extension}"`);
+        }
+
+        if (rule.source) {
+            if (!this.matchesSource(rule.source, context.url, context.referrer)) {
+                reasons.push(`site does not match "${rule.source}"`);
+                return { matched: false, reasons };
+            }
+            reasons.push(`site matches "${rule.source}"`);
+        }
+
+        if (rule.mime) {
+            const mimeType = this.normalizeMimeType(context.mimeType) || '(unknown)';
+            if (!this.matchesMime(rule.mime, context.mimeType)) {
+                reasons.push(`content type "${mimeType}" does not match "${rule.mime}"`);
+                return { matched: false, reasons };
+            }
+            reasons.push(`content type "${mimeType}" matches "${rule.mime}"`);
+        }
+
+        return { matched: true, reasons };
+    }
+
+    static ruleMatches(rule, context) {
+        return this.evaluateRule(rule, context).matched;
+    }
+
+    /**
+     * Find extensions that a rule lists but never gets, because an earlier
+     * rule matching only on extension takes those files first. Earlier rules
+     * with a site or content type condition or a condition tree leave other
+     * files for later rules, so they are not counted.
+     * @param {Array} rules - Validated rules, in priority order
+     * @returns {Array<{index: number, by: number, extensions: string[], wildcard: boolean, complete: boolean}>}
+     *     One entry per shadowed rule and earlier rule; complete is set on the
+     *     entry that leaves the rule with no extension of its own
+     */
+    static findShadowedRules(rules) {
+        const shadows = [];
+
+        rules.forEach((rule, index) => {
+            if (rule.enabled === false || !rule.extension) return;
+
+            const extensions = [...new Set(rule.extension.split(',').filter(Boolean))];
+            const claimed = new Set();
+
+            for (let earlier = 0; earlier < index && claimed.size < extensions.length; earlier++) {
+                const other = rules[earlier];
+                if (other.enabled === false || !other.extension || other.source || other.mime) continue;
+
+                const otherExtensions = other.extension.split(',').filter(Boolean);
+                const catchesAll = otherExtensions.includes('*');
+                const pattern = this.cachedPattern('extension', other.extension, p => this.createRegexPattern(p));
+
+                // A wildcard in this rule is only fully covered by a bare "*"
+                const taken = extensions.filter(extension => !claimed.has(extension) &&
+                    (catchesAll || (!extension.includes('*') && pattern.test(extension))));
+                if (taken.length === 0) continue;
+
+                taken.forEach(extension => claimed.add(extension));
+                shadows.push({
+                    index,
+                    by: earlier,
+                    extensions: taken,
+                    wildcard: taken.some(extension => !otherExtensions.includes(extension)),
+                    complete: claimed.size === extensions.length
+                });
+            }
+        });
+
+        return shadows;
+    }
+
+    static async expandFolder(template, ruleName, matchContext, context) {
+        const tabTitle = context.tabTitle || await FolderTemplate.resolveTabTitle(template, context.tabId);
+        const folder = FolderTemplate.expand(template, { ...matchContext, ruleName, tabTitle });
+        debugLog(`Expanded folder template "${template}" to "${folder}"`);
+        return folder;
+    }
+
+    /**
+     * Join a folder and filename into the relative path passed to downloads.download
+     * @param {string} folder - Expanded, sanitized folder path
+     * @param {string} filename - Raw filename
+     * @returns {string} Relative target path
+     */
+    static buildTargetPath(folder, filename) {
+        const sanitizedFilename = SecurityUtils.sanitizeFolderName(filename) || 'download';
+        return `${folder}/${sanitizedFilename}`;
+    }
+
+    /**
+     * Work out which rule handles a download and where it goes
+     * @param {RuleIndex} ruleIndex - Compiled rules
+     * @param {string} defaultFolder - Default folder template
+     * @param {string} url - Download URL
+     * @param {string|null} suggestedFilename - Filename from headers, if known
+     * @param {Object} [context] - Extra download context, see determineTargetFolder
+     * @param {boolean} [context.explain] - Evaluate every rule, not only those the index picks
+     * @returns {Promise<Object>} Resolution with the matched rule (or null), its
+     *     index, the folder, the filename after any rename rule, the filename
+     *     before it, and the per-rule evaluations
+     */
+    static async resolveTarget(ruleIndex, defaultFolder, url, suggestedFilename, context = {}) {
+        // Determine filename - prefer suggested, fall back to URL
+        const filename = this.ensureExtension(
+            suggestedFilename || this.getFilenameFromUrl(url),
+            context.mimeType
+        );
+        debugLog('Determining target folder for:', { url, suggestedFilename, filename, ...context });
+
+        const matchContext = {
+            filename,
+            url,
+            referrer: context.referrer,
+            mimeType: context.mimeType,
+            size: context.totalBytes,
+            incognito: context.incognito === true
+        };
+        const evaluations = [];
+
+        // Find matching rule, checking only the rules that could claim this extension
+        const candidates = context.explain
+            ? ruleIndex.rules.map((rule, index) => index)
+            : ruleIndex.candidates(this.getFileExtension(filename));
+        for (const index of candidates) {
+            const rule = ruleIndex.rules[index];
+            const evaluation = this.evaluateRule(rule, matchContext);
+            evaluations.push({ index, rule, ...evaluation });
+
+            if (evaluation.matched) {
+                debugLog(`Matched rule:`, rule);
+                const folder = await this.expandFolder(rule.foldername, rule.name || rule.id, matchContext, context);
+                const renamed = FilenameRewriter.apply(filename, rule.rename);
+                return { rule, index, folder, filename: renamed, originalFilename: filename, evaluations };
+            }
+        }
+
+        // No rule matched, use default folder
+        debugLog(`No rule matched, using default folder: ${defaultFolder}`);
+        const folder = await this.expandFolder(defaultFolder, 'default', matchContext, context);
+        return { rule: null, index: -1, folder, filename, originalFilename: filename, evaluations };
+    }
+
+    /**
+     * Resolve a download to a folder the user picked, skipping rule matching
+     * @param {string} url - Download URL
+     * @param {string|null} suggestedFilename - Filename from headers, if known
+     * @param {Object} override - { folder, ruleName } with an unexpanded folder template
+     * @param {Object} [context] - Extra download context, see determineTargetFolder
+     * @returns {Promise<Object>} Resolution, see resolveTarget
+     */
+    static async resolveOverrideTarget(url, suggestedFilename, override, context = {}) {
+        const filename = this.ensureExtension(
+            suggestedFilename || this.getFilenameFromUrl(url),
+            context.mimeType
+        );
+        const matchContext = { filename, url, referrer: context.referrer, mimeType: context.mimeType };
+        const folder = await this.expandFolder(override.folder, override.ruleName, matchContext, context);
+
+        return { rule: null, index: -1, folder, filename, originalFilename: filename, evaluations: [] };
+    }
+
+    /**
+     * Determine the folder a download belongs in
+     * @param {string} url - Download URL
+     * @param {string|null} suggestedFilename - Filename from headers, if known
+     * @param {Object} [context] - Extra download context
+     * @param {string} [context.referrer] - URL of the page the download came from
+     * @param {string} [context.mimeType] - Content-Type of the download
+     * @param {number} [context.totalBytes] - Expected size in bytes, if known
+     * @param {boolean} [context.incognito] - Whether the download came from a private window
+     * @param {number} [context.tabId] - Tab the download started from, for {title}
+     * @returns {Promise<string>} Target folder, with templates expanded
+     */
+    static async determineTargetFolder(url, suggestedFilename, context = {}) {
+        const target = await this.determineTarget(url, suggestedFilename, context);
+        return target.folder;
+    }
+
+    /**
+     * Like determineTargetFolder, but also report the matched rule and filename
+     * @param {string} url - Download URL
+     * @param {string|null} suggestedFilename - Filename from headers, if known
+     * @param {Object} [context] - Extra download context, see determineTargetFolder
+     * @returns {Promise<Object>} Resolution, see resolveTarget
+     */
+    static async determineTarget(url, suggestedFilename, context = {}) {
+        try {
+            const { ruleIndex, defaultFolder } = await RuleIndex.getActive();
+            return await this.resolveTarget(ruleIndex, defaultFolder, url, suggestedFilename, context);
+        } catch (error) {
+            debugLog('Error determining target folder:', error);
+            const filename = suggestedFilename || this.getFilenameFromUrl(url);
+            return {
+                rule: null,
+                index: -1,
+                folder: DEFAULT_FOLDER,
+                filename,
+                originalFilename: filename,
+                evaluations: []
+            };
+        }
+    }
+
+    /**
+     * Dry-run a set of (possibly unsaved) rules against a download for the rule tester
+     * @param {Object} request - Tester input from the options page
+     * @param {Array} request.rules - Rules as shown in the editor
+     * @param {string} request.defaultFolder - Default folder as shown in the editor
+     * @param {string} request.url - Download URL to test
+     * @param {string} [request.filename] - Filename from Content-Disposition, if any
+     * @param {string} [request.mimeType] - Content-Type to test with
+     * @param {string} [request.referrer] - Page the download is linked from
+     * @param {number} [request.size] - Download size in bytes
+     * @param {boolean} [request.incognito] - Test as a download from a private window
+     * @returns {Promise<Object>} Match explanation and final target path
+     */
+    static async testRules(request) {
+        if (!SecurityUtils.isValidDownloadUrl(request.url)) {
+            return { error: 'Enter a full http:// or https:// URL.' };
+        }
+
+        const rawRules = Array.isArray(request.rules) ? request.rules : [];
+        const rules = StorageManager.validateRules(rawRules);
+        const defaultFolder = SecurityUtils.sanitizeFolderPath(request.defaultFolder || DEFAULT_FOLDER);
+
+        const target = await this.resolveTarget(new RuleIndex(rules), defaultFolder, request.url, request.filename || null, {
+            mimeType: request.mimeType || '',
+            referrer: request.referrer || '',
+            totalBytes: Number.isFinite(request.size) && request.size >= 0 ? request.size : undefined,
+            incognito: request.incognito === true,
+            tabTitle: 'Example Page',
+            explain: true
+        });
+
+        return {
+            matchedIndex: target.index,
+            ruleName: target.rule ? (target.rule.name || '') : '',
+            folder: target.folder,
+            filename: target.filename,
+            originalFilename: target.originalFilename,
+            path: this.buildTargetPath(target.folder, target.filename),
+            ignoredRules: rawRules.length - rules.length,
+            evaluations: target.evaluations.map(evaluation => ({
+                index: evaluation.index,
+                name: evaluation.rule.name || '',
+                matched: evaluation.matched,
+                reasons: evaluation.reasons
+            }))
+        };
+    }
+}
+
+/**
+ * Condition trees that combine download properties with AND, OR and NOT, for
+ * rules such as "pdf AND from bank.example.com". Groups are
+ * { type: 'all' | 'any', conditions: [...] }; leaves are
+ * { type, value } for extension, filename (glob), filenameRegex, domain and
+ * mime, { type: 'size', min, max } in bytes, and { type: 'private' }. Any node
+ * can set negate to invert it.
+ */
+class ConditionTree {
+    static GROUPS = ['all', 'any'];
+    static LEAVES = ['extension', 'filename', 'filenameRegex', 'domain', 'mime', 'size', 'private'];
+
+    // Keep trees small enough for sync storage and quick to evaluate
+    static MAX_DEPTH = 3;
+    static MAX_CONDITIONS = 20;
+    static MAX_GLOB_LENGTH = 100;
+
+    /**
+     * Validate a condition tree. Empty groups are dropped, so a tree without
+     * any condition becomes null.
+     * @param {Object} tree - Raw tree from the options page or storage
+     * @returns {{tree: Object|null, valid: boolean}} Normalized tree, and whether every condition was valid
+     */
+    static normalize(tree) {
+        if (tree === null || tree === undefined) {
+            return { tree: null, valid: true };
+        }
+
+        const normalized = this.normalizeNode(tree, 0, { conditions: 0 });
+        return normalized === false ? { tree: null, valid: false } : { tree: normalized, valid: true };
+    }
+
+    /**
+     * @returns {Object|null|false} Normalized node, null for an empty group, or false if invalid
+     */
+    static normalizeNode(node, depth, counter) {
+        if (!node || typeof node !== 'object') return false;
+
+        const negate = node.negate === true;
+
+        if (this.GROUPS.includes(node.type)) {
+            if (depth >= this.MAX_DEPTH || !Array.isArray(node.conditions)) return false;
+
+            const conditions = [];
+            for (const child of node.conditions) {
+                const normalized = this.normalizeNode(child, depth + 1, counter);
+                if (normalized === false) return false;
+                if (normalized) conditions.push(normalized);
+            }
+            return conditions.length > 0 ? { type: node.type, negate, conditions } : null;
+        }
+
+        if (++counter.conditions > this.MAX_CONDITIONS) return false;
+
+        const leaf = this.normalizeLeaf(node);
+        return leaf ? { ...leaf, negate } : false;
+    }
+
+    static normalizeLeaf(leaf) {
+        const compact = typeof leaf.value === 'string' ? leaf.value.replace(/\s/g, '').toLowerCase() : '';
+        const text = typeof leaf.value === 'string' ? leaf.value.trim() : '';
+
+        switch (leaf.type) {
+            case 'extension':
+                return compact && SecurityUtils.isValidExtensionPattern(compact) ? { type: leaf.type, value: compact } : null;
+            case 'domain':
+                return compact && SecurityUtils.isValidHostPattern(compact) ? { type: leaf.type, value: compact } : null;
+            case 'mime':
+                return compact && SecurityUtils.isValidMimePattern(compact) ? { type: leaf.type, value: compact } : null;
+            case 'filename':
+                return text && text.length <= this.MAX_GLOB_LENGTH && !/[/\\]/.test(text)
+                    ? { type: leaf.type, value: text }
+                    : null;
+            case 'filenameRegex':
+                return text && text.length <= FilenameRewriter.MAX_PATTERN_LENGTH && FilenameRewriter.compile(text)
+                    ? { type: leaf.type, value: text }
+                    : null;
+            case 'size': {
+                const bytes = value => Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+                const min = bytes(leaf.min);
+                const max = bytes(leaf.max);
+                if (min === null && max === null) return null;
+                if (min !== null && max !== null && min > max) return null;
+                return { type: leaf.type, min, max };
+            }
+            case 'private':
+                return { type: leaf.type };
+            default:
+                return null;
+        }
+    }
+
+    static createGlobPattern(glob) {
+        const regexPattern = glob
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${regexPattern}$`, 'i');
+    }
+
+    static formatSize(bytes) {
+        return bytes < 1024 * 1024
+            ? `${Math.round(bytes / 1024)} KB`
+            : `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    }
+
+    /**
+     * Evaluate a tree against a download. Groups stop at the first condition
+     * that decides them, so reasons only cover the conditions checked.
+     * @param {Object} node - Normalized tree
+     * @param {Object} context - Download context, see FileMatcherService.evaluateRule
+     * @param {string[]} reasons - Receives one reason per checked condition
+     * @returns {boolean} Whether the tree matches
+     */
+    static evaluate(node, context, reasons) {
+        let matched;
+        if (node.type === 'all') {
+            matched = node.conditions.every(child => this.evaluate(child, context, reasons));
+        } else if (node.type === 'any') {
+            matched = node.conditions.some(child => this.evaluate(child, context, reasons));
+        } else {
+            matched = this.evaluateLeaf(node, context, reasons);
+        }
+
+        if (!node.negate) return matched;
+        reasons.push(`NOT turns that into ${matched ? 'no match' : 'a match'}`);
+        return !matched;
+    }
+
+    static evaluateLeaf(leaf, context, reasons) {
+        const matcher = FileMatcherService;
+        let matched = false;
+        let subject = '';
+        let expected = `"${leaf.value}"`;
+
+        switch (leaf.type) {
+            case 'extension':
+                subject = `extension "${matcher.getFileExtension(context.filename) || '(none)'}"`;
+                matched = matcher.matches(leaf.value, context.filename);
+                break;
+            case 'filename':
+                subject = `filename "${context.filename}"`;
+                matched = matcher.cachedPattern('glob', leaf.value, p => this.createGlobPattern(p)).test(context.filename);
+                break;
+            case 'filenameRegex':
+                subject = `filename "${context.filename}"`;
+                expected = `/${leaf.value}/`;
+                matched = matcher.cachedPattern('filenameRegex', leaf.value, p => new RegExp(p, 'i')).test(context.filename);
+                break;
+            case 'domain':
+                subject = 'site';
+                matched = matcher.matchesSource(leaf.value, context.url, context.referrer);
+                break;
+            case 'mime':
+                subject = `content type "${matcher.normalizeMimeType(context.mimeType) || '(unknown)'}"`;
+                matched = matcher.matchesMime(leaf.value, context.mimeType);
+                break;
+            case 'size': {
+                const known = Number.isFinite(context.size) && context.size >= 0;
+                subject = known ? `size ${this.formatSize(context.size)}` : 'size (unknown)';
+                expected = [
+                    leaf.min !== null ? `at least ${this.formatSize(leaf.min)}` : '',
+                    leaf.max !== null ? `at most ${this.formatSize(leaf.max)}` : ''
+                ].filter(Boolean).join(' and ');
+                matched = known && (leaf.min === null || context.size >= leaf.min) &&
+                    (leaf.max === null || context.size <= leaf.max);
+                break;
+            }
+            case 'private':
+                matched = context.incognito === true;
+                reasons.push(matched ? 'download is from a private window' : 'download is not from a private window');
+                return matched;
+        }
+
+        reasons.push(`${subject} ${matched ? 'matches' : 'does not match'} ${expected}`);
+        return matched;
+    }
+}
+
+/**
+ * Rules compiled for matching. Rules whose extension pattern is a plain list
+ * are indexed by extension; wildcard patterns and rules without an extension
+ * condition, including rules with a condition tree, are checked for every
+ * download. The active profile's index is
+ * kept in memory and rebuilt only after the stored rules change, so blocking
+ * request handlers don't re-read and re-validate storage for each download.
+ */
+class RuleIndex {
+    static active = null;
+
+    /**
+     * @param {Array} rules - Validated rules, in priority order
+     */
+    constructor(rules) {
+        this.rules = rules;
+        this.byExtension = new Map(); // extension -> rule indexes
+        this.wildcard = []; // rule indexes checked for every extension
+
+        rules.forEach((rule, index) => {
+            if (rule.enabled === false) return;
+
+            const extensions = rule.extension ? rule.extension.toLowerCase().split(',').filter(Boolean) : [];
+            if (rule.conditions || extensions.length === 0 || extensions.some(extension => /[*.]/.test(extension))) {
+                this.wildcard.push(index);
+                return;
+            }
+
+            for (const extension of new Set(extensions)) {
+                if (!this.byExtension.has(extension)) {
+                    this.byExtension.set(extension, []);
+                }
+                this.byExtension.get(extension).push(index);
+            }
+        });
+    }
+
+    /**
+     * Indexes of the enabled rules that could match a file extension
+     * @param {string} extension - Lowercase file extension, or empty string
+     * @returns {number[]} Rule indexes in priority order
+     */
+    candidates(extension) {
+        const indexed = this.byExtension.get(extension);
+        if (!indexed) return this.wildcard;
+        return [...indexed, ...this.wildcard].sort((a, b) => a - b);
+    }
+
+    static init() {
+        browserAPI.storage.onChanged.addListener((changes, areaName) => {
+            if (StorageManager.affectsRules(changes, areaName)) {
+                this.invalidate();
+            }
+        });
+    }
+
+    /**
+     * Drop the compiled rules so the next download rebuilds them from storage
+     */
+    static invalidate() {
+        debugLog('Rules changed, rebuilding rule index');
+        this.active = null;
+        FileMatcherService.patternCache.clear();
+    }
+
+    /**
+     * Get the compiled rules and default folder of the active profile
+     * @returns {Promise<{ruleIndex: RuleIndex, defaultFolder: string}>} Compiled rules and default folder
+     */
+    static getActive() {
+        if (!this.active) {
+            const building = Promise.all([StorageManager.getRules(), StorageManager.getDefaultFolder()])
+                .then(([rules, defaultFolder]) => ({ ruleIndex: new RuleIndex(rules), defaultFolder }));
+
+            // Don't keep a failed build around
+            building.catch(() => {
+                if (this.active === building) {
+                    this.active = null;
+                }
+            });
+            this.active = building;
+        }
+        return this.active;
+    }
+}
+
+/**
+ * Versioned JSON rule set files used to share rules between machines
+ */
+class RuleSetFile {
+    static FORMAT = 'download-sorter-rules';
+    static VERSION = 1;
+
+    /**
+     * Build the export document for a rule set
+     * @param {Array} rules - Rules to export
+     * @param {string} defaultFolder - Default folder to export
+     * @returns {Object} Export document, ready for JSON.stringify
+     */
+    static build(rules, defaultFolder) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            defaultFolder: SecurityUtils.sanitizeFolderPath(defaultFolder || DEFAULT_FOLDER),
+            rules: StorageManager.validateRules(Array.isArray(rules) ? rules : [])
+        };
+    }
+
+    /**
+     * Validate an imported document with the same checks StorageManager.setRules applies
+     * @param {Object} data - Parsed JSON from the imported file
+     * @returns {Object} { rules, defaultFolder, rejected } or { error }
+     */
+    static parse(data) {
+        if (!data || typeof data !== 'object' || data.format !== this.FORMAT) {
+            return { error: 'This is not a Download Sorter rules file.' };
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > this.VERSION) {
+            return { error: `Unsupported rules file version: ${data.version}. Please update the extension.` };
+        }
+
+        if (!Array.isArray(data.rules)) {
+            return { error: 'The rules file does not contain a list of rules.' };
+        }
+
+        const rules = StorageManager.validateRules(data.rules);
+
+        return {
+            rules,
+            defaultFolder: typeof data.defaultFolder === 'string'
+                ? SecurityUtils.sanitizeFolderPath(data.defaultFolder)
+                : '',
+            rejected: data.rules.length - rules.length
+        };
+    }
+}
+
+/**
+ * Expands folder path templates such as "images/{yyyy}/{mm}" or "docs/{domain}"
+ */
+class FolderTemplate {
+    static tokenPattern = /\{([a-z]+)\}/g;
+
+    static hasToken(template, token) {
+        return typeof template === 'string' && template.includes(`{${token}}`);
+    }
+
+    /**
+     * Build token values for a download
+     * @param {Object} context - Download context
+     * @param {string} context.url - Download URL
+     * @param {string} context.filename - Filename used for the extension
+     * @param {string} [context.ruleName] - Name of the matched rule
+     * @param {string} [context.tabTitle] - Title of the originating tab
+     * @param {Date} [context.date] - Date to use, defaults to now
+     * @returns {Object<string, string>} Token values
+     */
+    static buildValues(context) {
+        const date = context.date || new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const host = FileMatcherService.getHostFromUrl(context.url);
+
+        const yyyy = String(date.getFullYear());
+        const mm = pad(date.getMonth() + 1);
+        const dd = pad(date.getDate());
+
+        return {
+            yyyy,
+            mm,
+            dd,
+            date: `${yyyy}-${mm}-${dd}`,
+            domain: host.replace(/^www\./, ''),
+            host,
+            ext: FileMatcherService.getFileExtension(context.filename),
+            rule: context.ruleName || '',
+            title: context.tabTitle || ''
+        };
+    }
+
+    /**
+     * Expand a folder template and re-validate the resulting path. Token values
+     * are sanitized as single path segments, so a token can never introduce
+     * separators or traversal; only literal "/" in the template nests folders.
+     * @param {string} template - Folder template
+     * @param {Object} context - Download context, see buildValues
+     * @returns {string} Sanitized folder path
+     */
+    static expand(template, context) {
+        const values = this.buildValues(context);
+
+        const expanded = template.replace(this.tokenPattern, (token, name) => {
+            if (!Object.prototype.hasOwnProperty.call(values, name)) {
+                return token; // Leave unknown tokens untouched
+            }
+            return SecurityUtils.sanitizePathSegment(values[name]) || 'unknown';
+        });
+
+        return SecurityUtils.sanitizeFolderPath(expanded);
+    }
+
+    /**
+     * Look up the title of the tab a download started from, when a template needs it
+     * @param {string} template - Folder template
+     * @param {number} [tabId] - Originating tab ID
+     * @returns {Promise<string>} Tab title, or empty string
+     */
+    static async resolveTabTitle(template, tabId) {
+        if (!this.hasToken(template, 'title') || typeof tabId !== 'number' || tabId < 0) {
+            return '';
+        }
+
+        try {
+            const tab = await browserAPI.tabs.get(tabId);
+            return tab && tab.title ? tab.title : '';
+        } catch (error) {
+            debugLog('Could not read tab title:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Expand a template with sample values for the options page preview
+     * @param {string} template - Folder template as typed by the user
+     * @param {Object} [sample] - Rule details to preview with
+     * @param {string} [sample.ruleName] - Rule name
+     * @param {string} [sample.extension] - Rule extension pattern
+     * @returns {{path: string}} Preview result
+     */
+    static preview(template, sample = {}) {
+        const extension = String(sample.extension || '')
+            .split(',')
+            .map(ext => ext.trim().toLowerCase())
+            .find(ext => /^[a-z0-9]+$/.test(ext)) || 'pdf';
+
+        const path = this.expand(SecurityUtils.sanitizeFolderPath(template), {
+            url: 'https://www.example.com/files/report.' + extension,
+            filename: 'report.' + extension,
+            ruleName: sample.ruleName || 'default',
+            tabTitle: 'Example Page'
+        });
+
+        return { path };
+    }
+}
+
+/**
+ * Per-rule filename rewriting, e.g. turning "document (1).pdf" into
+ * "2024-05-01_invoice.pdf". Runs before the target path is built.
+ */
+class FilenameRewriter {
+    static MAX_PATTERN_LENGTH = 200;
+    static MAX_REPLACEMENT_LENGTH = 100;
+    static SPACE_REPLACEMENTS = ['', '_', '-'];
+
+    /**
+     * Validate a rule's rename settings
+     * @param {Object} rename - Raw rename settings
+     * @returns {Object|null} Sanitized settings, or null when nothing would change
+     */
+    static normalize(rename) {
+        if (!rename || typeof rename !== 'object') {
+            return null;
+        }
+
+        const normalized = {
+            stripCopySuffix: rename.stripCopySuffix === true,
+            stripTracking: rename.stripTracking === true,
+            datePrefix: rename.datePrefix === true,
+            lowercase: rename.lowercase === true,
+            replaceSpaces: this.SPACE_REPLACEMENTS.includes(rename.replaceSpaces) ? rename.replaceSpaces : '',
+            find: '',
+            replace: ''
+        };
+
+        if (typeof rename.find === 'string' && rename.find && rename.find.length <= this.MAX_PATTERN_LENGTH &&
+            this.compile(rename.find)) {
+            normalized.find = rename.find;
+            normalized.replace = typeof rename.replace === 'string'
+                ? rename.replace.substring(0, this.MAX_REPLACEMENT_LENGTH)
+                : '';
+        }
+
+        const changesSomething = normalized.stripCopySuffix || normalized.stripTracking || normalized.datePrefix ||
+            normalized.lowercase || normalized.replaceSpaces || normalized.find;
+        return changesSomething ? normalized : null;
+    }
+
+    static compile(pattern) {
+        try {
+            return new RegExp(pattern, 'gi');
+        } catch {
+            return null;
+        }
+    }
+
+    static splitName(filename) {
+        const dot = filename.lastIndexOf('.');
+        if (dot <= 0 || dot === filename.length - 1) {
+            return { base: filename, extension: '' };
+        }
+        return { base: filename.substring(0, dot), extension: filename.substring(dot) };
+    }
+
+    /**
+     * Rewrite a filename using a rule's rename settings
+     * @param {string} filename - Filename before rewriting
+     * @param {Object|null} rename - Normalized rename settings
+     * @param {Date} [date] - Date used for the prefix
+     * @returns {string} Rewritten filename, or the original if the result would be empty
+     */
+    static apply(filename, rename, date = new Date()) {
+        if (!rename || !filename) {
+            return filename;
+        }
+
+        let { base, extension } = this.splitName(filename);
+
+        if (rename.stripCopySuffix) {
+            // "report (1)", "report - Copy", "report - Copy (2)"
+            base = base.replace(/(?:\s*-\s*copy)?\s*\(\d+\)$/i, '').replace(/\s*-\s*copy$/i, '');
+        }
+        if (rename.stripTracking) {
+            // "report_utm_source=mail", "report-fbclid-abc", "report-3f2a9c1e8b7d4e6f"
+            base = base
+                .replace(/[-_.](?:utm|fbclid|gclid|mc_eid|ref)[-_=].*$/i, '')
+                .replace(/[-_.][0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i, '')
+                .replace(/[-_.][0-9a-f]{16,}$/i, '');
+        }
+
+        let name = base + extension;
+
+        if (rename.find) {
+            const pattern = this.compile(rename.find);
+            if (pattern) {
+                name = name.replace(pattern, rename.replace);
+            }
+        }
+        if (rename.replaceSpaces) {
+            name = name.replace(/\s+/g, rename.replaceSpaces);
+        }
+        if (rename.lowercase) {
+            name = name.toLowerCase();
+        }
+        if (rename.datePrefix) {
+            name = `${FolderTemplate.buildValues({ date }).date}_${name}`;
+        }
+
+        name = name.trim();
+        if (!name || name === extension) {
+            debugLog('Rename produced an empty name, keeping:', filename);
+            return filename;
+        }
+
+        debugLog(`Renamed "${filename}" to "${name}"`);
+        return name;
+    }
+}
+
+/**
+ * Finds earlier completed downloads of the same file in the target folder,
+ * so rules can skip or ask instead of saving "report(1).pdf"
+ */
+class DuplicateDetector {
+    // "uniquify" keeps both copies, as Firefox does by default
+    static POLICIES = ['uniquify', 'skip', 'ask'];
+
+    static normalizePath(path) {
+        return String(path || '').replace(/\\/g, '/');
+    }
+
+    static escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Look for a completed download that still exists on disk and is either the
+     * same URL saved into the same folder, or a file with the same name and size.
+     * Folders are compared within the downloads directory, so nothing is found
+     * until that directory is known.
+     * @param {string} url - Download URL
+     * @param {string} targetPath - Relative target path, "folder/name.ext"
+     * @param {number} [totalBytes] - Expected size from Content-Length, if known
+     * @returns {Promise<Object|null>} Matching DownloadItem, or null
+     */
+    static async findExisting(url, targetPath, totalBytes) {
+        if (!browserAPI.downloads || !browserAPI.downloads.search) {
+            return null;
+        }
+
+        const folder = DownloadLedger.folderOf(targetPath);
+
+        try {
+            const sameUrl = await browserAPI.downloads.search({ url, state: 'complete', exists: true });
+            let inFolder = null;
+            for (const item of sameUrl) {
+                const path = await DownloadLedger.relativePath(item.filename);
+                if (path !== null && DownloadLedger.folderOf(path) === folder) {
+                    inFolder = item;
+                    break;
+                }
+            }
+            if (inFolder) {
+                debugLog('Same URL already downloaded to the target folder:', inFolder.filename);
+                return inFolder;
+            }
+
+            if (!Number.isFinite(totalBytes) || totalBytes <= 0) {
+                return null;
+            }
+
+            const sameName = await browserAPI.downloads.search({
+                filenameRegex: '[/\\\\]' + targetPath.split('/').map(part => this.escapeRegex(part)).join('[/\\\\]') + '$',
+                state: 'complete',
+                exists: true
+            });
+            let sameSize = null;
+            for (const item of sameName) {
+                if ((item.fileSize === totalBytes || item.totalBytes === totalBytes) &&
+                    await DownloadLedger.relativePath(item.filename) === targetPath) {
+                    sameSize = item;
+                    break;
+                }
+            }
+            if (sameSize) {
+                debugLog('File with the same name and size already in the target folder:', sameSize.filename);
+            }
+            return sameSize || null;
+        } catch (error) {
+            debugLog('Error searching for duplicate downloads:', error.message);
+            return null;
+        }
+    }
+}
+
+/**
+ * Captures what is needed to re-issue an intercepted request with
+ * downloads.download: method, form body, headers, private-browsing flag and
+ * container. Requests that can't be reproduced faithfully are reported as
+ * such so the interceptor can leave them to Firefox.
+ */
+class RequestReplay {
+    static MAX_TRACKED = 100;
+    static MAX_BODY_BYTES = 64 * 1024;
+
+    // Headers the downloads API sets itself or refuses to accept
+    static UNSAFE_HEADERS = new Set([
+        'accept-charset', 'accept-encoding', 'connection', 'content-length', 'cookie', 'cookie2',
+        'date', 'dnt', 'expect', 'host', 'keep-alive', 'origin', 'te', 'trailer',
+        'transfer-encoding', 'upgrade', 'upgrade-insecure-requests', 'user-agent', 'via'
+    ]);
+
+    static requests = new Map();
+
+    /**
+     * Remember method, body and privacy context from onBeforeRequest
+     * @param {Object} details - webRequest details
+     */
+    static captureRequest(details) {
+        this.requests.delete(details.requestId);
+        this.requests.set(details.requestId, {
+            method: details.method || 'GET',
+            body: this.readBody(details.requestBody),
+            headers: null,
+            originUrl: details.originUrl || details.documentUrl || '',
+            incognito: details.incognito === true,
+            cookieStoreId: details.cookieStoreId || ''
+        });
+
+        // Drop the oldest entries; finished requests are normally removed by forget()
+        while (this.requests.size > this.MAX_TRACKED) {
+            this.requests.delete(this.requests.keys().next().value);
+        }
+    }
+
+    /**
+     * Remember the headers actually sent, from onBeforeSendHeaders
+     * @param {Object} details - webRequest details
+     */
+    static captureHeaders(details) {
+        const request = this.requests.get(details.requestId);
+        if (request) {
+            request.headers = details.requestHeaders || [];
+        }
+    }
+
+    static forget(requestId) {
+        this.requests.delete(requestId);
+    }
+
+    /**
+     * Convert a webRequest requestBody into the string body downloads.download accepts
+     * @param {Object|undefined} requestBody - webRequest requestBody
+     * @returns {Object|null} { formData } or { text }, { unsupported: reason }, or null without a body
+     */
+    static readBody(requestBody) {
+        if (!requestBody) return null;
+
+        if (requestBody.error) {
+            return { unsupported: requestBody.error };
+        }
+        if (requestBody.formData) {
+            return { formData: requestBody.formData };
+        }
+        if (Array.isArray(requestBody.raw)) {
+            if (requestBody.raw.some(part => part.file || !part.bytes)) {
+                return { unsupported: 'the request uploads a file' };
+            }
+
+            const size = requestBody.raw.reduce((total, part) => total + part.bytes.byteLength, 0);
+            if (size > this.MAX_BODY_BYTES) {
+                return { unsupported: 'the request body is too large' };
+            }
+
+            const bytes = new Uint8Array(size);
+            let offset = 0;
+            requestBody.raw.forEach(part => {
+                bytes.set(new Uint8Array(part.bytes), offset);
+                offset += part.bytes.byteLength;
+            });
+
+            try {
+                return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes) };
+            } catch {
+                return { unsupported: 'the request body is binary' };
+            }
+        }
+        return null;
+    }
+
+    static findHeader(headers, name) {
+        const header = (headers || []).find(item => item.name.toLowerCase() === name);
+        return header ? header.value : '';
+    }
+
+    /**
+     * The Referer a browser would send by default (strict-origin-when-cross-origin)
+     * when the actual request headers were not seen
+     * @param {string} originUrl - Page that started the request
+     * @param {string} targetUrl - Download URL
+     * @returns {string} Referer value, or '' for none
+     */
+    static defaultReferer(originUrl, targetUrl) {
+        try {
+            const origin = new URL(originUrl);
+            const target = new URL(targetUrl);
+
+            if (!['http:', 'https:'].includes(origin.protocol)) return '';
+            if (origin.protocol === 'https:' && target.protocol === 'http:') return '';
+            if (origin.origin === target.origin) return origin.href.split('#')[0];
+            return `${origin.origin}/`;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Work out the downloads.download options that reproduce a request
+     * @param {Object} details - webRequest details of the request being intercepted
+     * @returns {Object} { options } to merge into downloads.download, or { error } when
+     *     the request can't be reproduced and should be left alone
+     */
+    static buildOptions(details) {
+        const request = this.requests.get(details.requestId) || {
+            method: details.method || 'GET',
+            body: null,
+            headers: null,
+            originUrl: details.originUrl || details.documentUrl || '',
+            incognito: details.incognito === true,
+            cookieStoreId: details.cookieStoreId || ''
+        };
+
+        // After a 303 (or 301/302 from POST) redirect the browser continues with GET
+        const method = (details.method || request.method).toUpperCase();
+        const options = {};
+
+        if (method === 'POST') {
+            const contentType = this.findHeader(request.headers, 'content-type').toLowerCase();
+            const body = request.method.toUpperCase() === 'POST' ? request.body : null;
+
+            if (!body) {
+                return { error: 'the POST body was not captured' };
+            }
+            if (body.unsupported) {
+                return { error: body.unsupported };
+            }
+            if (body.formData) {
+                if (contentType.startsWith('multipart/')) {
+                    return { error: 'multipart form bodies cannot be re-sent' };
+                }
+                const params = new URLSearchParams();
+                Object.entries(body.formData).forEach(([name, values]) => {
+                    values.forEach(value => params.append(name, value));
+                });
+                options.body = params.toString();
+            } else {
+                options.body = body.text;
+            }
+            options.method = 'POST';
+        } else if (method !== 'GET') {
+            return { error: `${method} requests cannot be re-sent` };
+        }
+
+        const headers = (request.headers || [])
+            .filter(header => {
+                const name = header.name.toLowerCase();
+                return !this.UNSAFE_HEADERS.has(name) && !name.startsWith('sec-') && !name.startsWith('proxy-') &&
+                    (name !== 'content-type' || options.method === 'POST');
+            })
+            .map(header => ({ name: header.name, value: header.value }));
+
+        if (!request.headers) {
+            const referer = this.defaultReferer(request.originUrl, details.url);
+            if (referer) {
+                headers.push({ name: 'Referer', value: referer });
+            }
+            if (options.method === 'POST') {
+                headers.push({ name: 'Content-Type', value: 'application/x-www-form-urlencoded' });
+            }
+        }
+        if (headers.length > 0) {
+            options.headers = headers;
+        }
+
+        Object.assign(options, this.privacyOptions(request.incognito, request.cookieStoreId));
+        return { options };
+    }
+
+    /**
+     * Keep private-window downloads private and container downloads in their container
+     * @param {boolean} incognito - Whether the request came from a private window
+     * @param {string} cookieStoreId - Container cookie store
+     * @returns {Object} downloads.download options
+     */
+    static privacyOptions(incognito, cookieStoreId) {
+        if (incognito) {
+            return { incognito: true };
+        }
+        if (cookieStoreId && cookieStoreId !== 'firefox-default') {
+            return { cookieStoreId };
+        }
+        return {};
+    }
+}
+
+/**
+ * A set of keys that expire after a while, kept in session storage (local
+ * storage on Firefox versions without it) so it survives the background page
+ * being suspended. Expired keys are ignored when read and removed by an
+ * alarm, since timers don't fire while the page is unloaded. Keys from
+ * private windows are only kept in memory when session storage is missing,
+ * so private browsing never leaves URLs on disk.
+ */
+class ExpiringSet {
+    static ALARM_PREFIX = 'expire:';
+    static instances = new Map();
+
+    /**
+     * @param {string} storageKey - Storage key, also used to name the cleanup alarm
+     */
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.entries = null; // key -> expiry time, loaded on first use
+        this.loading = null;
+        this.privateKeys = new Set(); // keys not written to local storage
+        ExpiringSet.instances.set(storageKey, this);
+    }
+
+    static get storage() {
+        return browserAPI.storage.session || browserAPI.storage.local;
+    }
+
+    static get storageIsSession() {
+        return Boolean(browserAPI.storage.session);
+    }
+
+    static init() {
+        if (!browserAPI.alarms) {
+            debugLog('ERROR: alarms API not available');
+            return;
+        }
+
+        browserAPI.alarms.onAlarm.addListener(alarm => {
+            if (!alarm.name.startsWith(this.ALARM_PREFIX)) return;
+
+            const set = this.instances.get(alarm.name.substring(this.ALARM_PREFIX.length));
+            if (set) {
+                set.prune();
+            }
+        });
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = ExpiringSet.storage.get(this.storageKey)
+                .then(result => {
+                    const stored = result[this.storageKey];
+                    this.entries = new Map(stored && typeof stored === 'object' ? Object.entries(stored) : []);
+                })
+                .catch(error => {
+                    debugLog(`Error reading ${this.storageKey}:`, error.message);
+                    this.entries = new Map();
+                });
+        }
+        await this.loading;
+        return this.entries;
+    }
+
+    /**
+     * Check whether a key is present and not expired
+     * @param {string} key - Key to check
+     * @returns {Promise<boolean>} True if present
+     */
+    async has(key) {
+        const entries = await this.load();
+        return entries.has(key) && entries.get(key) > Date.now();
+    }
+
+    /**
+     * Add a key unless it is already present. Checking and adding happen
+     * together, so two overlapping requests can't both claim the same key.
+     * @param {string} key - Key to add
+     * @param {number} ttl - Milliseconds until the key expires
+     * @param {boolean} [incognito] - Whether the key comes from a private window
+     * @returns {Promise<boolean>} False if the key was already present
+     */
+    async claim(key, ttl, incognito = false) {
+        const entries = await this.load();
+        if (entries.has(key) && entries.get(key) > Date.now()) {
+            return false;
+        }
+        this.setEntry(key, ttl, incognito);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Add a key, or change when it expires
+     * @param {string} key - Key to add
+     * @param {number} ttl - Milliseconds until the key expires
+     * @param {boolean} [incognito] - Whether the key comes from a private window
+     * @returns {Promise<void>}
+     */
+    async add(key, ttl, incognito = false) {
+        await this.load();
+        this.setEntry(key, ttl, incognito);
+        await this.save();
+    }
+
+    setEntry(key, ttl, incognito) {
+        this.entries.set(key, Date.now() + ttl);
+        if (incognito) {
+            this.privateKeys.add(key);
+        } else {
+            this.privateKeys.delete(key);
+        }
+    }
+
+    async delete(key) {
+        const entries = await this.load();
+        this.privateKeys.delete(key);
+        if (entries.delete(key)) {
+            await this.save();
+        }
+    }
 
-        // Handle simple patterns and complex patterns with wildcards/commas
-        if (extensionPattern.includes('*') || extensionPattern.includes(',')) {
-            try {
-                const pattern = this.createRegexPattern(extensionPattern);
-                const result = pattern.test(fileExtension);
-                debugLog(`Regex match result:`, result);
-                return result;
-            } catch (error) {
-                debugLog('Invalid regex pattern:', extensionPattern, error);
-                return false;
+    async prune() {
+        const entries = await this.load();
+        const now = Date.now();
+        for (const [key, expiry] of entries) {
+            if (expiry <= now) {
+                entries.delete(key);
+                this.privateKeys.delete(key);
             }
         }
-
-        // Simple exact match
-        const result = fileExtension === extensionPattern.toLowerCase().trim();
-        debugLog(`Exact match result:`, result);
-        return result;
+        await this.save();
     }
 
-    static async determineTargetFolder(url, suggestedFilename) {
+    async save() {
+        const stored = ExpiringSet.storageIsSession
+            ? [...this.entries]
+            : [...this.entries].filter(([key]) => !this.privateKeys.has(key));
         try {
-            const rules = await StorageManager.getRules();
-            const defaultFolder = await StorageManager.getDefaultFolder();
-            
-            // Determine filename - prefer suggested, fall back to URL
-            const filename = suggestedFilename || this.getFilenameFromUrl(url);
-            debugLog('Determining target folder for:', { url, suggestedFilename, filename });
+            await ExpiringSet.storage.set({ [this.storageKey]: Object.fromEntries(stored) });
+        } catch (error) {
+            debugLog(`Error saving ${this.storageKey}:`, error.message);
+        }
+        this.scheduleCleanup();
+    }
 
-            // Find matching rule
-            for (const rule of rules) {
-                if (this.matches(rule.extension, filename)) {
-                    debugLog(`Matched rule:`, rule);
-                    return rule.foldername;
-                }
-            }
+    scheduleCleanup() {
+        if (!browserAPI.alarms) return;
 
-            // No rule matched, use default folder
-            debugLog(`No rule matched, using default folder: ${defaultFolder}`);
-            return defaultFolder;
-        } catch (error) {
-            debugLog('Error determining target folder:', error);
-            return DEFAULT_FOLDER;
+        const name = ExpiringSet.ALARM_PREFIX + this.storageKey;
+        if (this.entries.size === 0) {
+            browserAPI.alarms.clear(name);
+        } else {
+            browserAPI.alarms.create(name, { when: Math.min(...this.entries.values()) });
         }
     }
 }
 
 // Enhanced download interception using multiple detection methods
 class DownloadInterceptor {
-    static pendingDownloads = new Set();
-    static interceptedUrls = new Set();
+    // How long an intercepted URL is ignored if its download never starts
+    static INTERCEPT_TTL = 60000;
+    // How long an intercepted URL is still ignored once its download has started
+    static RELEASE_DELAY = 5000;
+    // How long an identical download request is treated as a duplicate
+    static PENDING_TTL = 30000;
+    // How long a request that can't be re-sent is kept from the download monitor
+    static DECLINED_TTL = 120000;
+
+    static pendingDownloads = new ExpiringSet('pendingDownloads');
+    static interceptedUrls = new ExpiringSet('interceptedUrls');
+    static declinedUrls = new ExpiringSet('declinedUrls');
 
     static init() {
         debugLog('Initializing enhanced download interceptor...');
@@ -393,9 +2800,23 @@ class DownloadInterceptor {
                 urls: ["<all_urls>"],
                 types: ["main_frame"]
             },
-            ["blocking"]
+            ["blocking", "requestBody"]
+        );
+
+        // Record the headers actually sent so re-issued downloads can repeat them
+        browserAPI.webRequest.onBeforeSendHeaders.addListener(
+            details => RequestReplay.captureHeaders(details),
+            {
+                urls: ["<all_urls>"],
+                types: ["main_frame"]
+            },
+            ["requestHeaders"]
         );
 
+        const forgetRequest = details => RequestReplay.forget(details.requestId);
+        browserAPI.webRequest.onCompleted.addListener(forgetRequest, { urls: ["<all_urls>"], types: ["main_frame"] });
+        browserAPI.webRequest.onErrorOccurred.addListener(forgetRequest, { urls: ["<all_urls>"], types: ["main_frame"] });
+
         // Also listen for response headers to detect downloads via Content-Disposition
         // Only listen for main_frame to avoid intercepting background requests
         browserAPI.webRequest.onHeadersReceived.addListener(
@@ -412,6 +2833,12 @@ class DownloadInterceptor {
 
     static async handleMainFrameRequest(details) {
         try {
+            RequestReplay.captureRequest(details);
+
+            if (await SortingSwitch.isPaused()) {
+                return {};
+            }
+
             const url = details.url;
             debugLog('Main frame request intercepted:', url);
             
@@ -420,19 +2847,34 @@ class DownloadInterceptor {
             if (this.isUserInitiatedDownload(url)) {
                 debugLog('Detected user-initiated direct file download:', url);
                 
+                const replay = RequestReplay.buildOptions(details);
+                if (replay.error) {
+                    await this.decline(details, replay.error);
+                    return {};
+                }
+
                 // Prevent duplicate handling
-                if (this.interceptedUrls.has(url)) {
+                if (!await this.interceptedUrls.claim(url, this.INTERCEPT_TTL, details.incognito === true)) {
                     debugLog('URL already intercepted, skipping:', url);
                     return {};
                 }
                 
-                this.interceptedUrls.add(url);
-                
+                // No response has arrived yet, so there is no size and size conditions can't match
+                const context = {
+                    referrer: details.originUrl || details.documentUrl,
+                    incognito: details.incognito === true,
+                    tabId: details.tabId,
+                    replay: replay.options
+                };
+
                 // Cancel the navigation and start our controlled download
                 setTimeout(async () => {
-                    await this.initiateControlledDownload(url, null);
-                    // Clean up after a delay
-                    setTimeout(() => this.interceptedUrls.delete(url), 5000);
+                    try {
+                        await this.initiateControlledDownload(url, null, context);
+                        await this.interceptedUrls.add(url, this.RELEASE_DELAY, context.incognito);
+                    } catch (error) {
+                        debugLog('Error starting intercepted download:', error.message);
+                    }
                 }, 0);
                 
                 return { cancel: true };
@@ -527,6 +2969,10 @@ class DownloadInterceptor {
 
     static async handleResponse(details) {
         try {
+            if (await SortingSwitch.isPaused()) {
+                return {};
+            }
+
             const headers = details.responseHeaders || [];
             debugLog('Response headers intercepted for:', details.url);
             
@@ -538,22 +2984,28 @@ class DownloadInterceptor {
             // Check if this is a download based on Content-Disposition header
             let isDownload = false;
             let filename = null;
+            const contentTypeHeader = headers.find(header => header.name.toLowerCase() === 'content-type');
+            const mimeType = contentTypeHeader ? FileMatcherService.normalizeMimeType(contentTypeHeader.value) : '';
+
+            // Content-Length is only the file size when the body isn't compressed in transit
+            const contentLength = RequestReplay.findHeader(headers, 'content-length');
+            const contentEncoding = RequestReplay.findHeader(headers, 'content-encoding').toLowerCase();
+            const totalBytes = contentLength && (!contentEncoding || contentEncoding === 'identity')
+                ? parseInt(contentLength, 10)
+                : undefined;
             
             for (const header of headers) {
                 if (header.name.toLowerCase() === 'content-disposition') {
-                    const headerValue = header.value.toLowerCase();
+                    const disposition = ContentDisposition.parse(header.value);
                     debugLog('Content-Disposition found:', header.value);
                     
                     // Only intercept if it's explicitly marked as attachment
-                    if (headerValue.includes('attachment')) {
+                    if (disposition && disposition.type === 'attachment') {
                         isDownload = true;
                         
-                        // Extract filename from Content-Disposition
-                        const match = header.value.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-                        if (match && match[1]) {
-                            filename = match[1].replace(/['"]/g, '');
-                            debugLog('Extracted filename:', filename);
-                        }
+                        // Falls back to the URL name later when the header has no usable filename
+                        filename = disposition.filename;
+                        debugLog('Extracted filename:', filename);
                         break;
                     } else {
                         debugLog('Content-Disposition found but not attachment, skipping:', header.value);
@@ -562,21 +3014,49 @@ class DownloadInterceptor {
             }
 
             // If it's a download via Content-Disposition attachment, try to redirect it
-            if (isDownload && !this.interceptedUrls.has(details.url)) {
-                debugLog('Download detected via Content-Disposition attachment!', { url: details.url, filename });
-                
-                this.interceptedUrls.add(details.url);
+            if (isDownload) {
+                debugLog('Download detected via Content-Disposition attachment!', { url: details.url, filename, mimeType });
+
+                const replay = RequestReplay.buildOptions(details);
+                if (replay.error) {
+                    await this.decline(details, replay.error);
+                    return {};
+                }
+
+                if (!await this.interceptedUrls.claim(details.url, this.INTERCEPT_TTL, details.incognito === true)) {
+                    debugLog('URL already intercepted, skipping:', details.url);
+                    return {};
+                }
                 
+                const context = {
+                    referrer: details.originUrl || details.documentUrl,
+                    mimeType,
+                    totalBytes,
+                    incognito: details.incognito === true,
+                    tabId: details.tabId,
+                    replay: replay.options
+                };
+
                 // Cancel the original request and start our own download
                 setTimeout(async () => {
-                    await this.initiateControlledDownload(details.url, filename);
-                    // Clean up after a delay
-                    setTimeout(() => this.interceptedUrls.delete(details.url), 5000);
+                    try {
+                        await this.initiateControlledDownload(details.url, filename, context);
+                        await this.interceptedUrls.add(details.url, this.RELEASE_DELAY, context.incognito);
+                    } catch (error) {
+                        debugLog('Error starting intercepted download:', error.message);
+                    }
                 }, 0);
                 
                 return { cancel: true };
             }
 
+            // Firefox may still save this response as a download, which the
+            // monitor could only fetch again with a bare GET
+            const method = (details.method || 'GET').toUpperCase();
+            if (method !== 'GET') {
+                await this.declinedUrls.add(details.url, this.DECLINED_TTL, details.incognito === true);
+            }
+
         } catch (error) {
             debugLog('Error handling response:', error);
         }
@@ -584,13 +3064,28 @@ class DownloadInterceptor {
         return {};
     }
 
+    /**
+     * Leave a download to Firefox and keep the download monitor from
+     * replacing it with a request that is missing the method, body or headers
+     * @param {Object} details - webRequest details of the request
+     * @param {string} reason - Why the request can't be re-sent
+     * @returns {Promise<void>}
+     */
+    static async decline(details, reason) {
+        debugLog('Leaving download to Firefox, cannot re-send request:', reason);
+        await this.declinedUrls.add(details.url, this.DECLINED_TTL, details.incognito === true);
+    }
+
     /**
      * Securely initiate a controlled download with validation
      * @param {string} url - Download URL
      * @param {string|null} suggestedFilename - Optional filename
+     * @param {Object} [context] - Extra download context used for rule matching
      * @returns {Promise<number|null>} Download ID or null on failure
      */
-    static async initiateControlledDownload(url, suggestedFilename) {
+    static async initiateControlledDownload(url, suggestedFilename, context = {}) {
+        let logEntry = null;
+
         try {
             // Security: Validate URL before processing
             if (!SecurityUtils.isValidDownloadUrl(url)) {
@@ -600,48 +3095,467 @@ class DownloadInterceptor {
 
             debugLog('Initiating controlled download:', { url: url.substring(0, 100) + '...', suggestedFilename });
             
-            // Performance: Prevent duplicate downloads with timeout-based cleanup
+            // Performance: Prevent duplicate downloads; entries expire on their own
             const downloadKey = url + (suggestedFilename || '');
-            if (this.pendingDownloads.has(downloadKey)) {
+            if (!await this.pendingDownloads.claim(downloadKey, this.PENDING_TTL, context.incognito === true)) {
                 debugLog('Download already pending, skipping duplicate');
                 return null;
             }
             
-            this.pendingDownloads.add(downloadKey);
-            
-            // Get target folder and sanitize filename
-            const targetFolder = await FileMatcherService.determineTargetFolder(url, suggestedFilename);
-            const rawFilename = suggestedFilename || FileMatcherService.getFilenameFromUrl(url);
-            const sanitizedFilename = SecurityUtils.sanitizeFolderName(rawFilename) || 'download';
-            const targetPath = `${targetFolder}/${sanitizedFilename}`;
+            // Get target folder and sanitize filename; an explicit folder choice skips the rules
+            const override = context.folderOverride;
+            const target = override && override.folder
+                ? await FileMatcherService.resolveOverrideTarget(url, suggestedFilename, override, context)
+                : await FileMatcherService.determineTarget(url, suggestedFilename, context);
+            const askWhere = Boolean(override && override.ask);
+            const targetPath = askWhere
+                ? SecurityUtils.sanitizeFolderName(target.filename) || 'download'
+                : FileMatcherService.buildTargetPath(target.folder, target.filename);
             
             debugLog('Download target path:', targetPath);
 
+            let ruleName = target.rule ? (target.rule.name || target.rule.id) : '';
+            if (override) {
+                ruleName = override.ruleName || '';
+            }
+
+            logEntry = {
+                url,
+                originalName: target.originalFilename || target.filename,
+                ruleName,
+                folder: askWhere ? '' : target.folder,
+                path: targetPath
+            };
+
             // Use downloads API with security options
             const downloadOptions = {
                 url: url,
                 filename: targetPath,
                 conflictAction: 'uniquify'
             };
+            if (askWhere) {
+                downloadOptions.saveAs = true;
+            }
+
+            // Repeat the original method, body, headers, private flag and container
+            Object.assign(downloadOptions, context.replay || {});
+
+            // A folder picked from the menu is deliberate, so duplicates are only checked for rule matches
+            const policy = !override && target.rule ? target.rule.duplicatePolicy : 'uniquify';
+            if (policy && policy !== 'uniquify' && !askWhere) {
+                const existing = await DuplicateDetector.findExisting(url, targetPath, context.totalBytes);
+                if (existing && policy === 'skip') {
+                    debugLog('Skipping duplicate download:', existing.filename);
+                    if (logEntry && !downloadOptions.incognito) {
+                        await ActivityLog.add({
+                            ...logEntry,
+                            path: existing.filename,
+                            outcome: 'skipped',
+                            error: 'already downloaded'
+                        });
+                    }
+                    await this.pendingDownloads.delete(downloadKey);
+                    return null;
+                }
+                if (existing) {
+                    downloadOptions.saveAs = true;
+                }
+            }
 
-            const downloadId = await browserAPI.downloads.download(downloadOptions);
+            // Private-window downloads are never written to the persistent log
+            if (downloadOptions.incognito) {
+                logEntry = null;
+            }
+
+            const downloadId = await DownloadLedger.start(downloadOptions);
             debugLog('Controlled download started with ID:', downloadId);
-            
-            // Performance: Clean up pending downloads after reasonable timeout
-            setTimeout(() => {
-                this.pendingDownloads.delete(downloadKey);
-            }, 30000); // 30 second timeout
+            if (logEntry) {
+                await DownloadMonitor.logStarted({ ...logEntry, downloadId });
+            }
 
             return downloadId;
 
         } catch (error) {
             debugLog('Error initiating controlled download:', error.message);
+
+            if (logEntry) {
+                try {
+                    const record = await ActivityLog.add({ ...logEntry, outcome: 'failed', error: error.message });
+                    await DownloadNotifier.notifyOutcome(record);
+                } catch (logError) {
+                    debugLog('Error recording failed download:', logError.message);
+                }
+            }
             
             // Clean up on error
             const downloadKey = url + (suggestedFilename || '');
-            this.pendingDownloads.delete(downloadKey);
+            await this.pendingDownloads.delete(downloadKey);
+            return null;
+        }
+    }
+}
+
+/**
+ * Persistent history of the downloads the extension handled, kept in
+ * storage.local so it survives restarts and works with debug logging off
+ */
+class ActivityLog {
+    static STORAGE_KEY = 'activityLog';
+    static MAX_ENTRIES = 500;
+
+    // Serializes read-modify-write cycles so concurrent events don't drop entries
+    static writeQueue = Promise.resolve();
+
+    // Updates that arrived before their entry was added, e.g. a small file
+    // completing before downloads.download() resolved with its ID
+    static earlyUpdates = new Map();
+
+    /**
+     * Get all log entries, newest first
+     * @returns {Promise<Array>} Log entries
+     */
+    static async getEntries() {
+        try {
+            const result = await browserAPI.storage.local.get(this.STORAGE_KEY);
+            const entries = result[this.STORAGE_KEY];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            debugLog('Error reading activity log:', error.message);
+            return [];
+        }
+    }
+
+    static update(mutator) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                const entries = await this.getEntries();
+                const updated = mutator(entries);
+                if (updated) {
+                    await browserAPI.storage.local.set({ [this.STORAGE_KEY]: updated.slice(0, this.MAX_ENTRIES) });
+                }
+            } catch (error) {
+                debugLog('Error writing activity log:', error.message);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Record a handled download
+     * @param {Object} entry - Entry details
+     * @param {string} entry.url - Download URL
+     * @param {string} entry.originalName - Filename before sorting
+     * @param {string} entry.ruleName - Matched rule, empty for the default folder
+     * @param {string} entry.path - Target path
+     * @param {string} entry.outcome - started, complete, interrupted or failed
+     * @param {number} [entry.downloadId] - Browser download ID
+     * @param {string} [entry.error] - Error message for failed downloads
+     * @returns {Promise<Object>} The stored record, including updates that arrived early
+     */
+    static add(entry) {
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            time: Date.now(),
+            ...entry,
+            url: String(entry.url || '').substring(0, 500)
+        };
+
+        return this.update(entries => {
+            if (this.earlyUpdates.has(record.downloadId)) {
+                this.applyChanges(record, this.earlyUpdates.get(record.downloadId));
+                this.earlyUpdates.delete(record.downloadId);
+            }
+            return [record, ...entries];
+        }).then(() => record);
+    }
+
+    static applyChanges(entry, changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value !== undefined) entry[key] = value;
+        });
+    }
+
+    /**
+     * Update the entry for a download, if it is one we recorded
+     * @param {number} downloadId - Browser download ID
+     * @param {Object} changes - Fields to update; undefined values are ignored
+     * @returns {Promise<Object|null>} The updated entry, or null if there is none yet
+     */
+    static updateByDownloadId(downloadId, changes) {
+        let updated = null;
+
+        return this.update(entries => {
+            const entry = entries.find(item => item.downloadId === downloadId);
+            if (!entry) {
+                this.rememberEarlyUpdate(downloadId, changes);
+                return null;
+            }
+
+            this.applyChanges(entry, changes);
+            updated = { ...entry };
+            return entries;
+        }).then(() => updated);
+    }
+
+    static rememberEarlyUpdate(downloadId, changes) {
+        this.earlyUpdates.set(downloadId, { ...this.earlyUpdates.get(downloadId), ...changes });
+
+        // Most early updates belong to downloads we never handle; keep only the latest few
+        if (this.earlyUpdates.size > 20) {
+            this.earlyUpdates.delete(this.earlyUpdates.keys().next().value);
+        }
+    }
+
+    static clear() {
+        return this.update(() => []);
+    }
+}
+
+/**
+ * Running totals of completed sorted downloads, kept in storage.local for
+ * the statistics view. Counted once per download as it completes.
+ */
+class SortingStats {
+    static STORAGE_KEY = 'sortingStats';
+    static MAX_DAYS = 120;
+    static MAX_DOMAINS = 200;
+    static MAX_EXTENSIONS = 200;
+
+    static writeQueue = Promise.resolve();
+
+    static empty() {
+        return {
+            since: Date.now(),
+            total: { count: 0, bytes: 0 },
+            defaultCount: 0,
+            byRule: {},
+            byFolder: {},
+            byDay: {},
+            byDomain: {},
+            fallthrough: {}
+        };
+    }
+
+    /**
+     * Get the collected statistics
+     * @returns {Promise<Object>} Statistics
+     */
+    static async get() {
+        try {
+            const result = await browserAPI.storage.local.get(this.STORAGE_KEY);
+            const stats = result[this.STORAGE_KEY];
+            return stats && typeof stats === 'object' ? { ...this.empty(), ...stats } : this.empty();
+        } catch (error) {
+            debugLog('Error reading statistics:', error.message);
+            return this.empty();
+        }
+    }
+
+    static update(mutator) {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                const stats = await this.get();
+                mutator(stats);
+                await browserAPI.storage.local.set({ [this.STORAGE_KEY]: stats });
+            } catch (error) {
+                debugLog('Error writing statistics:', error.message);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    static add(bucket, key, bytes) {
+        const item = bucket[key] || { count: 0, bytes: 0 };
+        item.count++;
+        item.bytes += bytes;
+        bucket[key] = item;
+    }
+
+    // Keep only the largest keys of a counter map
+    static trim(bucket, limit, size = value => value.count || value) {
+        const keys = Object.keys(bucket);
+        if (keys.length <= limit) return;
+
+        keys.sort((a, b) => size(bucket[b]) - size(bucket[a]))
+            .slice(limit)
+            .forEach(key => delete bucket[key]);
+    }
+
+    /**
+     * Count a completed download
+     * @param {Object} entry - Activity log entry of the completed download
+     * @param {number} [bytes] - File size on disk
+     * @returns {Promise<void>}
+     */
+    static record(entry, bytes) {
+        // A re-sort moves a file that was already counted
+        if (!entry || entry.replaces !== undefined) {
+            return Promise.resolve();
+        }
+
+        const size = Number.isFinite(bytes) && bytes > 0 ? bytes : 0;
+        const day = FolderTemplate.buildValues({ date: new Date(entry.time || Date.now()) }).date;
+        const domain = FileMatcherService.getHostFromUrl(entry.url).replace(/^www\./, '');
+        const extension = FileMatcherService.getFileExtension(entry.originalName || '');
+
+        return this.update(stats => {
+            stats.total.count++;
+            stats.total.bytes += size;
+
+            this.add(stats.byRule, entry.ruleName || '(default folder)', size);
+            this.add(stats.byFolder, entry.folder || '(chosen in dialog)', size);
+            this.add(stats.byDay, day, size);
+
+            if (domain) {
+                stats.byDomain[domain] = (stats.byDomain[domain] || 0) + 1;
+            }
+
+            if (!entry.ruleName) {
+                stats.defaultCount++;
+                const key = extension || '(none)';
+                stats.fallthrough[key] = (stats.fallthrough[key] || 0) + 1;
+            }
+
+            Object.keys(stats.byDay).sort().slice(0, -this.MAX_DAYS).forEach(key => delete stats.byDay[key]);
+            this.trim(stats.byDomain, this.MAX_DOMAINS);
+            this.trim(stats.fallthrough, this.MAX_EXTENSIONS);
+        });
+    }
+
+    static reset() {
+        return this.update(stats => Object.assign(stats, this.empty()));
+    }
+}
+
+/**
+ * Downloads started by this extension. DownloadMonitor uses it to leave the
+ * extension's own downloads alone, and it learns where the browser's
+ * downloads directory is from where those downloads end up.
+ */
+class DownloadLedger {
+    static DIRECTORY_KEY = 'downloadsDirectory';
+    static MAX_IDS = 200;
+
+    // Download ID -> folder requested relative to the downloads directory (null when unknown)
+    static ids = new Map();
+
+    // URL -> requested folder, while downloads.download() has not resolved yet,
+    // since downloads.onCreated can fire before the ID is known
+    static expected = new Map();
+
+    static directory = null;
+
+    /**
+     * Start a download and remember it as one of ours
+     * @param {Object} options - Options for downloads.download()
+     * @returns {Promise<number>} Download ID
+     */
+    static async start(options) {
+        const folder = options.saveAs ? null : this.folderOf(options.filename);
+        this.expected.set(options.url, folder);
+
+        try {
+            const downloadId = await browserAPI.downloads.download(options);
+            this.ids.set(downloadId, folder);
+            if (this.ids.size > this.MAX_IDS) {
+                this.ids.delete(this.ids.keys().next().value);
+            }
+            return downloadId;
+        } finally {
+            this.expected.delete(options.url);
+        }
+    }
+
+    static folderOf(path) {
+        const normalized = DuplicateDetector.normalizePath(path);
+        const slash = normalized.lastIndexOf('/');
+        return slash > 0 ? normalized.substring(0, slash) : '';
+    }
+
+    /**
+     * Check whether a download was started by this extension
+     * @param {Object} downloadItem - DownloadItem
+     * @returns {boolean} True for our own downloads
+     */
+    static isOwn(downloadItem) {
+        return downloadItem.byExtensionId === browserAPI.runtime.id ||
+            this.ids.has(downloadItem.id) ||
+            this.expected.has(downloadItem.url);
+    }
+
+    /**
+     * Work out the downloads directory from one of our downloads, whose
+     * absolute path ends with the folder we asked for
+     * @param {Object} downloadItem - DownloadItem started by this extension
+     * @returns {Promise<void>}
+     */
+    static async learnDirectory(downloadItem) {
+        const folder = this.ids.has(downloadItem.id)
+            ? this.ids.get(downloadItem.id)
+            : this.expected.get(downloadItem.url);
+        if (typeof folder !== 'string' || !downloadItem.filename) return;
+
+        const actualFolder = this.folderOf(downloadItem.filename);
+        if (folder && !actualFolder.endsWith('/' + folder)) return;
+
+        const directory = folder ? actualFolder.substring(0, actualFolder.length - folder.length - 1) : actualFolder;
+        if (!directory || directory === this.directory) return;
+
+        await this.saveDirectory(directory);
+    }
+
+    /**
+     * Guess the downloads directory from a download this extension didn't
+     * start, while none is known yet. Firefox saves to the downloads directory
+     * unless asked where to save, so its folder is the best guess; the next
+     * download of our own corrects it if it was wrong.
+     * @param {Object} downloadItem - DownloadItem not started by this extension
+     * @returns {Promise<void>}
+     */
+    static async guessDirectory(downloadItem) {
+        if (!downloadItem.filename || await this.getDirectory() !== null) return;
+
+        const directory = this.folderOf(downloadItem.filename);
+        if (directory) {
+            await this.saveDirectory(directory);
+        }
+    }
+
+    static async saveDirectory(directory) {
+        this.directory = directory;
+        try {
+            await browserAPI.storage.local.set({ [this.DIRECTORY_KEY]: directory });
+            debugLog('Downloads directory learned:', directory);
+        } catch (error) {
+            debugLog('Could not save downloads directory:', error.message);
+        }
+    }
+
+    static async getDirectory() {
+        if (this.directory === null) {
+            try {
+                const result = await browserAPI.storage.local.get(this.DIRECTORY_KEY);
+                this.directory = typeof result[this.DIRECTORY_KEY] === 'string' ? result[this.DIRECTORY_KEY] : null;
+            } catch (error) {
+                debugLog('Error reading downloads directory:', error.message);
+            }
+        }
+        return this.directory;
+    }
+
+    /**
+     * Path of a download relative to the downloads directory
+     * @param {string} filename - Absolute path reported by the browser
+     * @returns {Promise<string|null>} Relative path, or null when the directory is not known
+     *                                 yet or the file was saved somewhere else
+     */
+    static async relativePath(filename) {
+        const directory = await this.getDirectory();
+        const path = DuplicateDetector.normalizePath(filename);
+        if (!directory || !path.startsWith(directory + '/')) {
             return null;
         }
+        return path.substring(directory.length + 1);
     }
 }
 
@@ -650,64 +3564,136 @@ class DownloadMonitor {
     static init() {
         debugLog('Initializing download monitor...');
 
-        if (!browserAPI.downloads || !browserAPI.downloads.onCreated) {
-            debugLog('ERROR: downloads API not available');
+        if (!browserAPI.downloads || !browserAPI.downloads.onCreated) {
+            debugLog('ERROR: downloads API not available');
+            return;
+        }
+
+        // Monitor new downloads
+        browserAPI.downloads.onCreated.addListener(this.handleDownloadCreated.bind(this));
+        
+        // Monitor download changes
+        if (browserAPI.downloads.onChanged) {
+            browserAPI.downloads.onChanged.addListener(this.handleDownloadChanged.bind(this));
+        }
+
+        debugLog('Download monitor initialized');
+    }
+
+    static async handleDownloadCreated(downloadItem) {
+        debugLog('Download created:', downloadItem);
+
+        // Our own downloads are already sorted; re-sorting them would loop
+        if (DownloadLedger.isOwn(downloadItem)) {
+            await DownloadLedger.learnDirectory(downloadItem);
+            return;
+        }
+
+        if (await SortingSwitch.isPaused()) {
+            debugLog('Sorting paused, leaving download alone:', downloadItem.id);
+            return;
+        }
+
+        if (downloadItem.byExtensionId) {
+            debugLog('Download started by another extension, leaving it alone:', downloadItem.byExtensionId);
+            return;
+        }
+
+        await DownloadLedger.guessDirectory(downloadItem);
+
+        // blob:, data: and file: downloads cannot be fetched again
+        if (!SecurityUtils.isValidDownloadUrl(downloadItem.url)) {
+            debugLog('Download cannot be re-issued, leaving it alone:', downloadItem.id);
+            return;
+        }
+
+        // POST, multipart and other requests can't be repeated with a plain GET
+        if (await DownloadInterceptor.declinedUrls.has(downloadItem.url)) {
+            debugLog('Download request cannot be re-sent, leaving it alone:', downloadItem.id);
             return;
         }
 
-        // Monitor new downloads
-        browserAPI.downloads.onCreated.addListener(this.handleDownloadCreated.bind(this));
-        
-        // Monitor download changes
-        if (browserAPI.downloads.onChanged) {
-            browserAPI.downloads.onChanged.addListener(this.handleDownloadChanged.bind(this));
+        // The copy is only trusted once it matches the original, which needs the activity log
+        if (downloadItem.incognito) {
+            debugLog('Download is from a private window, leaving it alone:', downloadItem.id);
+            return;
         }
 
-        debugLog('Download monitor initialized');
-    }
+        // Firefox reports absolute paths, so judge the location relative to the downloads directory
+        const relativePath = await DownloadLedger.relativePath(downloadItem.filename);
+        if (relativePath === null) {
+            debugLog('Download is outside the known downloads directory, leaving it alone:', downloadItem.id);
+        } else if (relativePath.includes('/')) {
+            debugLog('Download appears to be organized:', relativePath);
+        } else {
+            debugLog('Unorganized download detected:', relativePath);
 
-    static async handleDownloadCreated(downloadItem) {
-        debugLog('Download created:', downloadItem);
-        
-        // Check if this download was organized by us
-        const filename = downloadItem.filename;
-        const hasSubfolder = filename.includes('/') || filename.includes('\\');
-        
-        if (!hasSubfolder) {
-            debugLog('Unorganized download detected:', filename);
-            
             // Try to organize it after the fact
             await this.organizeExistingDownload(downloadItem);
-        } else {
-            debugLog('Download appears to be organized:', filename);
         }
     }
 
+    /**
+     * Sort a download the interceptor missed by downloading it again into its
+     * rule's folder. The original is left running and is only removed once
+     * the copy has completed and matches it, see Resorter.finishMove.
+     * @param {Object} downloadItem - DownloadItem of the missed download
+     * @returns {Promise<void>}
+     */
     static async organizeExistingDownload(downloadItem) {
         try {
             debugLog('Attempting to organize existing download:', downloadItem);
             
-            const targetFolder = await FileMatcherService.determineTargetFolder(downloadItem.url, downloadItem.filename);
             const currentFilename = downloadItem.filename.split(/[/\\]/).pop(); // Get just the filename
-            const newPath = `${targetFolder}/${currentFilename}`;
+            const target = await FileMatcherService.determineTarget(
+                downloadItem.url,
+                currentFilename,
+                {
+                    referrer: downloadItem.referrer,
+                    mimeType: downloadItem.mime,
+                    totalBytes: downloadItem.totalBytes > 0 ? downloadItem.totalBytes : undefined,
+                    incognito: downloadItem.incognito === true
+                }
+            );
+            const targetFolder = target.folder;
+            const newPath = FileMatcherService.buildTargetPath(targetFolder, target.filename);
+            const logEntry = {
+                url: downloadItem.url,
+                originalName: currentFilename,
+                ruleName: target.rule ? (target.rule.name || target.rule.id) : '',
+                folder: targetFolder,
+                path: newPath,
+                reorganized: true
+            };
             
-            if (targetFolder !== DEFAULT_FOLDER) {
+            // Files no rule claims stay where the browser put them
+            if (target.rule) {
                 debugLog('Should move download to:', newPath);
                 
-                // Cancel the current download and restart with proper path
                 try {
-                    await browserAPI.downloads.cancel(downloadItem.id);
-                    debugLog('Cancelled original download, restarting with organized path');
-                    
-                    const newDownloadId = await browserAPI.downloads.download({
+                    const options = {
                         url: downloadItem.url,
                         filename: newPath,
-                        conflictAction: 'uniquify'
-                    });
+                        conflictAction: 'uniquify',
+                        ...RequestReplay.privacyOptions(downloadItem.incognito, downloadItem.cookieStoreId)
+                    };
+                    const referer = RequestReplay.defaultReferer(downloadItem.referrer, downloadItem.url);
+                    if (referer) {
+                        options.headers = [{ name: 'Referer', value: referer }];
+                    }
+                    const newDownloadId = await DownloadLedger.start(options);
                     
-                    debugLog('Restarted download with ID:', newDownloadId);
+                    debugLog('Started sorted copy with ID:', newDownloadId);
+                    await this.logStarted({
+                        ...logEntry,
+                        downloadId: newDownloadId,
+                        replaces: downloadItem.id,
+                        replacesSize: downloadItem.totalBytes,
+                        replacesMime: FileMatcherService.normalizeMimeType(downloadItem.mime)
+                    });
                 } catch (error) {
                     debugLog('Error reorganizing download:', error);
+                    await ActivityLog.add({ ...logEntry, outcome: 'failed', error: error.message });
                 }
             }
         } catch (error) {
@@ -715,15 +3701,470 @@ class DownloadMonitor {
         }
     }
 
-    static handleDownloadChanged(downloadDelta) {
+    static async handleDownloadChanged(downloadDelta) {
         debugLog('Download changed:', downloadDelta);
         
         if (downloadDelta.state && downloadDelta.state.current === 'complete') {
             debugLog(`Download ${downloadDelta.id} completed`);
+            const item = await this.getDownload(downloadDelta.id);
+            const entry = await ActivityLog.updateByDownloadId(downloadDelta.id, {
+                outcome: 'complete',
+                path: item && item.filename ? item.filename : undefined
+            });
+
+            if (entry) {
+                await this.handleOutcome(entry, item);
+            }
         }
         
         if (downloadDelta.error) {
             debugLog(`Download ${downloadDelta.id} error:`, downloadDelta.error);
+            const entry = await ActivityLog.updateByDownloadId(downloadDelta.id, {
+                outcome: 'interrupted',
+                error: downloadDelta.error.current
+            });
+
+            if (entry) {
+                await this.handleOutcome(entry);
+            }
+        }
+    }
+
+    /**
+     * Log a download that was just started. Small files can finish before
+     * downloads.download() resolves, so their outcome reaches the entry as
+     * it is added; it is then handled here instead of by handleDownloadChanged.
+     * @param {Object} entry - Activity log entry, with the new download ID
+     * @returns {Promise<Object>} The stored record
+     */
+    static async logStarted(entry) {
+        const record = await ActivityLog.add({ ...entry, outcome: 'started' });
+        if (record.outcome !== 'started') {
+            await this.handleOutcome(record, await this.getDownload(record.downloadId));
+        }
+        return record;
+    }
+
+    /**
+     * Act on a logged download that has finished: finish a re-sort and
+     * count it in the statistics if it completed, then notify
+     * @param {Object} entry - Activity log entry with its final outcome
+     * @param {Object} [item] - DownloadItem, for the size of completed downloads
+     * @returns {Promise<void>}
+     */
+    static async handleOutcome(entry, item) {
+        // A re-sorted copy that doesn't match its original is rejected, so isn't counted
+        if (entry.outcome === 'complete' && entry.replaces !== undefined) {
+            await Resorter.finishMove(entry, item);
+        }
+        if (entry.outcome === 'complete') {
+            await SortingStats.record(entry, item ? item.fileSize : 0);
+        }
+        await DownloadNotifier.notifyOutcome(entry);
+    }
+
+    /**
+     * Look up a download, e.g. for where the browser actually saved it, which
+     * can differ from the requested path when the name was uniquified
+     * @param {number} downloadId - Download ID
+     * @returns {Promise<Object|undefined>} DownloadItem, or undefined if unknown
+     */
+    static async getDownload(downloadId) {
+        try {
+            const [item] = await browserAPI.downloads.search({ id: downloadId });
+            return item;
+        } catch (error) {
+            debugLog('Could not look up download:', error.message);
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Optional browser notifications when a sorted download finishes or fails.
+ * Clicking a completion opens the file's folder; clicking a failure opens the
+ * activity log, where the download can be retried or re-sorted.
+ */
+class DownloadNotifier {
+    static SETTINGS_KEY = 'notificationSettings';
+    static DEFAULTS = { onComplete: false, onError: true };
+    static ICON = 'dist/img/icon128.jpg';
+
+    static init() {
+        if (!browserAPI.notifications) {
+            debugLog('ERROR: notifications API not available');
+            return;
+        }
+        browserAPI.notifications.onClicked.addListener(this.handleClick.bind(this));
+    }
+
+    /**
+     * Get notification preferences
+     * @returns {Promise<{onComplete: boolean, onError: boolean}>} Settings
+     */
+    static async getSettings() {
+        const stored = await StorageManager.get(this.SETTINGS_KEY);
+        return {
+            onComplete: stored && typeof stored.onComplete === 'boolean' ? stored.onComplete : this.DEFAULTS.onComplete,
+            onError: stored && typeof stored.onError === 'boolean' ? stored.onError : this.DEFAULTS.onError
+        };
+    }
+
+    static async setSettings(settings) {
+        return await StorageManager.set(this.SETTINGS_KEY, {
+            onComplete: Boolean(settings && settings.onComplete),
+            onError: Boolean(settings && settings.onError)
+        });
+    }
+
+    static fileName(path) {
+        return String(path || '').split(/[/\\]/).pop();
+    }
+
+    /**
+     * Show a notification for a finished or failed download, if enabled
+     * @param {Object} entry - Activity log entry
+     * @returns {Promise<void>}
+     */
+    static async notifyOutcome(entry) {
+        if (!browserAPI.notifications || !entry) return;
+
+        try {
+            const settings = await this.getSettings();
+            const name = this.fileName(entry.path) || entry.originalName || 'Download';
+            const rule = entry.ruleName ? `rule: ${entry.ruleName}` : 'no rule matched';
+
+            if (entry.outcome === 'complete' && settings.onComplete && entry.downloadId !== undefined) {
+                const folder = entry.folder ? `"${entry.folder}"` : 'the folder you chose';
+                await browserAPI.notifications.create(`complete:${entry.downloadId}`, {
+                    type: 'basic',
+                    iconUrl: browserAPI.runtime.getURL(this.ICON),
+                    title: `Saved to ${entry.folder || 'downloads'}`,
+                    message: `${name} was saved to ${folder} (${rule}). ` +
+                        'Click to show it; use Re-sort in the activity log to move it.'
+                });
+            } else if ((entry.outcome === 'interrupted' || entry.outcome === 'failed') && settings.onError) {
+                await browserAPI.notifications.create(`error:${entry.id}`, {
+                    type: 'basic',
+                    iconUrl: browserAPI.runtime.getURL(this.ICON),
+                    title: 'Download failed',
+                    message: `${name} could not be saved${entry.error ? ` (${entry.error})` : ''}. ` +
+                        'Click to open the activity log.'
+                });
+            }
+        } catch (error) {
+            debugLog('Error showing notification:', error.message);
+        }
+    }
+
+    static async handleClick(notificationId) {
+        const [kind, id] = String(notificationId).split(':');
+
+        try {
+            if (kind === 'complete') {
+                await browserAPI.downloads.show(Number(id));
+            } else if (kind === 'error') {
+                await browserAPI.tabs.create({ url: browserAPI.runtime.getURL('options.html#activity') });
+            } else {
+                return;
+            }
+            await browserAPI.notifications.clear(notificationId);
+        } catch (error) {
+            debugLog('Error handling notification click:', error.message);
+        }
+    }
+}
+
+/**
+ * Moves a completed download to another folder by downloading it again and
+ * removing the original once the new copy is complete. The extension can't
+ * move files itself, and the original request's body and headers are gone by
+ * then, so the copy is only trusted if its size and type match the original.
+ */
+class Resorter {
+    /**
+     * Start re-sorting a completed download
+     * @param {number} downloadId - Browser download ID of the saved file
+     * @param {string} folder - New folder, may be a template
+     * @returns {Promise<Object>} { downloadId } or { error }
+     */
+    static async resort(downloadId, folder) {
+        if (typeof folder !== 'string' || !folder.trim()) {
+            return { error: 'Please enter a valid folder.' };
+        }
+
+        const [item] = await browserAPI.downloads.search({ id: downloadId });
+        if (!item || item.state !== 'complete' || item.exists === false) {
+            return { error: 'The file is no longer available in the downloads list.' };
+        }
+        if (!SecurityUtils.isValidDownloadUrl(item.url)) {
+            return { error: 'This download cannot be fetched again.' };
+        }
+
+        const currentName = DownloadNotifier.fileName(item.filename);
+        const target = await FileMatcherService.resolveOverrideTarget(item.url, currentName, {
+            folder: SecurityUtils.sanitizeFolderPath(folder),
+            ruleName: 're-sort'
+        }, { referrer: item.referrer, mimeType: item.mime });
+        const targetPath = FileMatcherService.buildTargetPath(target.folder, currentName);
+
+        if (DuplicateDetector.normalizePath(item.filename).endsWith('/' + targetPath)) {
+            return { error: 'The file is already in that folder.' };
+        }
+
+        const options = {
+            url: item.url,
+            filename: targetPath,
+            conflictAction: 'uniquify',
+            ...RequestReplay.privacyOptions(item.incognito, item.cookieStoreId)
+        };
+        const referer = RequestReplay.defaultReferer(item.referrer, item.url);
+        if (referer) {
+            options.headers = [{ name: 'Referer', value: referer }];
+        }
+        const newId = await DownloadLedger.start(options);
+
+        if (!item.incognito) {
+            await DownloadMonitor.logStarted({
+                url: item.url,
+                originalName: currentName,
+                ruleName: 're-sort',
+                folder: target.folder,
+                path: targetPath,
+                downloadId: newId,
+                replaces: item.id,
+                replacesSize: item.fileSize,
+                replacesMime: FileMatcherService.normalizeMimeType(item.mime)
+            });
+        }
+
+        debugLog('Re-sorting download', item.id, 'to', targetPath);
+        return { downloadId: newId, folder: target.folder };
+    }
+
+    /**
+     * Check that a re-sorted copy is the same file as the original. A refetch
+     * can return a login or error page, or a newer file, instead.
+     * @param {Object} entry - Activity log entry of the new copy
+     * @param {Object} [item] - DownloadItem of the new copy
+     * @returns {string} Why the copy differs, or empty string if it matches
+     */
+    static compareCopy(entry, item) {
+        if (!item) {
+            return 'the new copy could not be found';
+        }
+        if (!(entry.replacesSize > 0) || item.fileSize !== entry.replacesSize) {
+            return 'the new copy has a different size';
+        }
+
+        const mime = FileMatcherService.normalizeMimeType(item.mime);
+        if (entry.replacesMime && mime && mime !== entry.replacesMime) {
+            return 'the new copy has a different type';
+        }
+        return '';
+    }
+
+    /**
+     * Remove the original file once its re-sorted copy has completed and
+     * matches it; otherwise remove the copy and keep the original. Marks the
+     * entry as failed when the copy is rejected.
+     * @param {Object} entry - Activity log entry of the new copy
+     * @param {Object} [item] - DownloadItem of the new copy
+     * @returns {Promise<void>}
+     */
+    static async finishMove(entry, item) {
+        const mismatch = this.compareCopy(entry, item || await DownloadMonitor.getDownload(entry.downloadId));
+        if (mismatch) {
+            debugLog('Keeping original of re-sorted download:', entry.replaces, mismatch);
+            entry.outcome = 'failed';
+            entry.error = `${mismatch}, so the original was kept`;
+            await ActivityLog.update(entries => {
+                entries.forEach(logged => {
+                    if (logged.downloadId === entry.downloadId) {
+                        logged.outcome = entry.outcome;
+                        logged.error = entry.error;
+                    }
+                });
+                return entries;
+            });
+
+            try {
+                await browserAPI.downloads.removeFile(entry.downloadId);
+                await browserAPI.downloads.erase({ id: entry.downloadId });
+            } catch (error) {
+                debugLog('Could not remove rejected copy of re-sorted download:', error.message);
+            }
+            return;
+        }
+
+        try {
+            const original = await DownloadMonitor.getDownload(entry.replaces);
+            if (original && original.state === 'in_progress') {
+                // A missed download can still be running when its sorted copy finishes
+                await browserAPI.downloads.cancel(entry.replaces);
+            } else {
+                await browserAPI.downloads.removeFile(entry.replaces);
+            }
+            await browserAPI.downloads.erase({ id: entry.replaces });
+            await ActivityLog.update(entries => {
+                entries.forEach(item => {
+                    if (item.downloadId === entry.replaces) {
+                        item.outcome = 'moved';
+                        item.error = `moved to ${entry.path}`;
+                    }
+                });
+                return entries;
+            });
+            debugLog('Removed original of re-sorted download:', entry.replaces);
+        } catch (error) {
+            debugLog('Could not remove original of re-sorted download:', error.message);
+        }
+    }
+}
+
+/**
+ * "Download to…" context menu on links and media, listing the folders of the
+ * active profile's rules plus the default folder and a save dialog option
+ */
+class ContextMenu {
+    static ROOT_ID = 'download-to';
+    static MAX_FOLDERS = 20;
+
+    // Serializes rebuilds so removeAll/create calls from overlapping changes don't interleave
+    static buildQueue = Promise.resolve();
+
+    static get api() {
+        return browserAPI.menus || browserAPI.contextMenus;
+    }
+
+    static init() {
+        if (!this.api) {
+            debugLog('ERROR: context menu API not available');
+            return;
+        }
+
+        this.api.onClicked.addListener(this.handleClick.bind(this));
+        browserAPI.storage.onChanged.addListener(this.handleStorageChange.bind(this));
+        this.rebuild();
+    }
+
+    static rebuild() {
+        this.buildQueue = this.buildQueue
+            .then(() => this.build())
+            .catch(error => debugLog('Error building context menu:', error.message));
+        return this.buildQueue;
+    }
+
+    static handleStorageChange(changes, areaName) {
+        if (StorageManager.affectsRules(changes, areaName)) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * One menu entry per distinct rule folder, in rule order
+     * @param {Array} rules - Validated rules
+     * @returns {Array<{index: number, label: string}>} Menu targets
+     */
+    static listRuleFolders(rules) {
+        const seen = new Set();
+        const targets = [];
+
+        rules.forEach((rule, index) => {
+            if (rule.enabled === false || seen.has(rule.foldername) || targets.length >= this.MAX_FOLDERS) return;
+            seen.add(rule.foldername);
+            targets.push({
+                index,
+                label: rule.name ? `${rule.foldername} (${rule.name})` : rule.foldername
+            });
+        });
+
+        return targets;
+    }
+
+    static async build() {
+        const rules = await StorageManager.getRules();
+        const defaultFolder = await StorageManager.getDefaultFolder();
+        const contexts = ['link', 'image', 'video', 'audio'];
+
+        await this.api.removeAll();
+        this.api.create({ id: this.ROOT_ID, title: 'Download to…', contexts });
+
+        // Item IDs carry the rule index, so clicks still resolve after the background page reloads
+        this.listRuleFolders(rules).forEach(target => {
+            this.api.create({
+                id: `${this.ROOT_ID}:rule:${target.index}`,
+                parentId: this.ROOT_ID,
+                title: target.label,
+                contexts
+            });
+        });
+
+        this.api.create({ id: `${this.ROOT_ID}:separator`, parentId: this.ROOT_ID, type: 'separator', contexts });
+        this.api.create({
+            id: `${this.ROOT_ID}:default`,
+            parentId: this.ROOT_ID,
+            title: `Default folder (${defaultFolder})`,
+            contexts
+        });
+        this.api.create({
+            id: `${this.ROOT_ID}:ask`,
+            parentId: this.ROOT_ID,
+            title: 'Ask where to save…',
+            contexts
+        });
+
+        debugLog('Context menu built');
+    }
+
+    /**
+     * Turn a clicked menu item into a folder override for initiateControlledDownload
+     * @param {string} menuItemId - Clicked item ID
+     * @returns {Promise<Object|null>} { folder, ruleName }, { ask: true } or null
+     */
+    static async resolveOverride(menuItemId) {
+        const [root, kind, index] = String(menuItemId).split(':');
+        if (root !== this.ROOT_ID) return null;
+
+        if (kind === 'ask') {
+            return { ask: true, ruleName: 'save dialog' };
+        }
+        if (kind === 'default') {
+            return { folder: await StorageManager.getDefaultFolder(), ruleName: 'default' };
+        }
+        if (kind === 'rule') {
+            const rules = await StorageManager.getRules();
+            const rule = rules[Number(index)];
+            if (rule) {
+                return { folder: rule.foldername, ruleName: rule.name || rule.id };
+            }
+        }
+
+        return null;
+    }
+
+    static async handleClick(info, tab) {
+        try {
+            const override = await this.resolveOverride(info.menuItemId);
+            if (!override) return;
+
+            const url = info.mediaType ? info.srcUrl : (info.linkUrl || info.srcUrl);
+            debugLog('Context menu download:', { url, override });
+
+            const replay = tab ? RequestReplay.privacyOptions(tab.incognito, tab.cookieStoreId) : {};
+            const referer = RequestReplay.defaultReferer(info.pageUrl, url);
+            if (referer) {
+                replay.headers = [{ name: 'Referer', value: referer }];
+            }
+
+            await DownloadInterceptor.initiateControlledDownload(url, null, {
+                referrer: info.pageUrl,
+                tabId: tab ? tab.id : undefined,
+                folderOverride: override,
+                replay
+            });
+        } catch (error) {
+            debugLog('Error handling context menu click:', error);
         }
     }
 }
@@ -742,19 +4183,66 @@ function checkApiAvailability() {
         'webRequest.onHeadersReceived': !!(browserAPI.webRequest && browserAPI.webRequest.onHeadersReceived),
         'storage': !!browserAPI.storage,
         'storage.sync': !!(browserAPI.storage && browserAPI.storage.sync),
+        'contextMenus': !!(browserAPI.menus || browserAPI.contextMenus),
+        'notifications': !!browserAPI.notifications,
+        'alarms': !!browserAPI.alarms,
+        'storage.session': !!(browserAPI.storage && browserAPI.storage.session),
     };
 
     debugLog('API availability:', apis);
     return apis;
 }
 
-// Initialization
+// Initialization. Both onStartup and loading the background page call this,
+// and listeners must only be added once.
+let initialized = false;
+
 async function initialize() {
+    if (initialized) return;
+    initialized = true;
+
     debugLog('=== Download Sorter Extension Starting ===');
     
     // Check what APIs are available
     const apiAvailability = checkApiAvailability();
-    
+
+    // Listeners are added before anything is awaited, so the event that woke
+    // a suspended background page is not missed.
+    // Try to set up download interception
+    if (apiAvailability['webRequest.onBeforeRequest'] && apiAvailability['webRequest.onHeadersReceived']) {
+        debugLog('Setting up enhanced webRequest-based download interception...');
+        DownloadInterceptor.init();
+    } else {
+        debugLog('webRequest API not available, cannot intercept downloads');
+    }
+
+    // Set up download monitoring
+    if (apiAvailability['downloads.onCreated']) {
+        debugLog('Setting up download monitoring...');
+        DownloadMonitor.init();
+    } else {
+        debugLog('downloads API not available, cannot monitor downloads');
+    }
+
+    if (apiAvailability['notifications']) {
+        DownloadNotifier.init();
+    }
+
+    // Set up the "Download to…" menu
+    if (apiAvailability['contextMenus']) {
+        ContextMenu.init();
+    }
+
+    // Keep the compiled rules in step with storage
+    RuleIndex.init();
+
+    // Expire duplicate-download guards while the page is suspended
+    if (apiAvailability['alarms']) {
+        ExpiringSet.init();
+    }
+
+    await Diagnostics.load();
+
     // Initialize storage with defaults
     try {
         const currentFolder = await StorageManager.getDefaultFolder();
@@ -780,25 +4268,173 @@ async function initialize() {
         debugLog('Error initializing storage:', error);
     }
 
-    // Try to set up download interception
-    if (apiAvailability['webRequest.onBeforeRequest'] && apiAvailability['webRequest.onHeadersReceived']) {
-        debugLog('Setting up enhanced webRequest-based download interception...');
-        DownloadInterceptor.init();
-    } else {
-        debugLog('webRequest API not available, cannot intercept downloads');
+    await ProfileManager.updateToolbarTitle();
+    await SortingSwitch.updateBadge();
+
+    debugLog('=== Download Sorter Extension Initialized ===');
+}
+
+/**
+ * Answers requests from the extension's own pages
+ */
+class MessageHandler {
+    static init() {
+        browserAPI.runtime.onMessage.addListener(this.handleMessage.bind(this));
     }
 
-    // Set up download monitoring
-    if (apiAvailability['downloads.onCreated']) {
-        debugLog('Setting up download monitoring...');
-        DownloadMonitor.init();
-    } else {
-        debugLog('downloads API not available, cannot monitor downloads');
+    static handleMessage(message, sender) {
+        // Only answer messages sent by our own extension pages
+        if (!message || !sender || sender.id !== browserAPI.runtime.id) {
+            return undefined;
+        }
+
+        switch (message.type) {
+            case 'previewFolderTemplate':
+                return Promise.resolve(FolderTemplate.preview(message.template, {
+                    ruleName: message.ruleName,
+                    extension: message.extension
+                }));
+            case 'testRules':
+                return FileMatcherService.testRules(message);
+            case 'getSettings':
+                return this.getSettings();
+            case 'getDefaults':
+                return Promise.resolve({ rules: StorageManager.validateRules(DEFAULT_RULES), defaultFolder: DEFAULT_FOLDER });
+            case 'validateSettings':
+                return Promise.resolve(StorageManager.checkSettings(message.rules, message.defaultFolder));
+            case 'saveSettings':
+                return this.saveSettings(message);
+            case 'getSortingState':
+                return SortingSwitch.isPaused().then(paused => ({ paused }));
+            case 'setSortingPaused':
+                return SortingSwitch.setPaused(message.paused);
+            case 'getProfiles':
+                return this.getProfiles();
+            case 'setActiveProfile':
+                return ProfileManager.setActiveProfile(message.profileId);
+            case 'createProfile':
+                return ProfileManager.createProfile(message.name, message.cloneFrom);
+            case 'renameProfile':
+                return ProfileManager.renameProfile(message.profileId, message.name);
+            case 'deleteProfile':
+                return ProfileManager.deleteProfile(message.profileId);
+            case 'exportRules':
+                return Promise.resolve(RuleSetFile.build(message.rules, message.defaultFolder));
+            case 'parseRuleSet':
+                return Promise.resolve(RuleSetFile.parse(message.data));
+            case 'getActivityLog':
+                return ActivityLog.getEntries();
+            case 'clearActivityLog':
+                return ActivityLog.clear().then(() => ({ success: true }));
+            case 'getDiagnostics':
+                return Promise.resolve({
+                    verbose: Diagnostics.verbose,
+                    apis: checkApiAvailability(),
+                    entries: Diagnostics.entries.slice(-100)
+                });
+            case 'setVerboseLogging':
+                return Diagnostics.setVerbose(message.verbose);
+            case 'clearDiagnostics':
+                return Diagnostics.clear();
+            case 'exportDiagnostics':
+                return Diagnostics.buildReport().then(text => ({ text }));
+            case 'getStats':
+                return SortingStats.get();
+            case 'resetStats':
+                return SortingStats.reset().then(() => ({ success: true }));
+            case 'showDownload':
+                return browserAPI.downloads.show(message.downloadId).then(() => ({ success: true }));
+            case 'resortDownload':
+                return Resorter.resort(message.downloadId, message.folder)
+                    .catch(error => ({ error: error.message }));
+            default:
+                debugLog('Unknown message type:', message.type);
+                return undefined;
+        }
     }
 
-    debugLog('=== Download Sorter Extension Initialized ===');
+    static async getSettings() {
+        const profileId = await ProfileManager.getActiveProfileId();
+        const { rules, available } = await StorageManager.loadRules(profileId);
+        return {
+            profileId,
+            rules,
+            rulesAvailable: available,
+            defaultFolder: await StorageManager.getDefaultFolder(),
+            notifications: await DownloadNotifier.getSettings(),
+            storage: await StorageManager.getStorageStatus(),
+            downloadsDirectoryKnown: await DownloadLedger.getDirectory() !== null,
+            revision: await StorageManager.getRevision()
+        };
+    }
+
+    static async getProfiles() {
+        return {
+            profiles: await ProfileManager.getProfiles(),
+            activeProfileId: await ProfileManager.getActiveProfileId()
+        };
+    }
+
+    // Serializes saves so two tabs can't both pass the revision check
+    static saveQueue = Promise.resolve();
+
+    static saveSettings(message) {
+        const save = this.saveQueue.then(() => this.writeSettings(message));
+        this.saveQueue = save.catch(() => {});
+        return save;
+    }
+
+    /**
+     * Save settings from the options page, unless they were changed elsewhere
+     * since the page loaded them
+     * @param {Object} message - Settings, with the revision they were based on
+     * @param {string} message.profileId - Profile whose rules the page loaded
+     * @param {boolean} [message.force] - Save even if the revision is out of date
+     * @returns {Promise<Object>} Result with the new revision, or conflict: true
+     */
+    static async writeSettings(message) {
+        const revision = await StorageManager.getRevision();
+        if (!message.force && (message.revision || null) !== revision) {
+            debugLog('Settings changed since the options page loaded them, not saving');
+            return { success: false, conflict: true, revision };
+        }
+
+        // Switching profile doesn't change the revision, which is shared by every device
+        const activeProfileId = await ProfileManager.getActiveProfileId();
+        if (!message.force && message.profileId !== activeProfileId) {
+            debugLog('Another profile was made active since the options page loaded its rules, not saving');
+            return { success: false, conflict: true, profileChanged: true, revision };
+        }
+
+        // Rules always go back to the profile they were loaded from
+        const profiles = await ProfileManager.getProfiles();
+        if (!profiles.some(profile => profile.id === message.profileId)) {
+            return { success: false, error: 'That profile no longer exists.' };
+        }
+
+        // Don't overwrite rules that are still syncing or unreadable
+        if (!(await StorageManager.loadRules(message.profileId)).available) {
+            return { success: false, unavailable: true, error: 'The saved rules could not be read.' };
+        }
+
+        const rulesSaved = await StorageManager.setRules(message.rules, message.profileId);
+        const folderSaved = await StorageManager.setDefaultFolder(message.defaultFolder);
+        if (message.notifications) {
+            await DownloadNotifier.setSettings(message.notifications);
+        }
+
+        // Other tabs only reload, and this page only moves its base on, after a complete save
+        const success = rulesSaved && folderSaved;
+        return {
+            success,
+            revision: success ? await StorageManager.bumpRevision() : revision,
+            storage: await StorageManager.getStorageStatus()
+        };
+    }
 }
 
+MessageHandler.init();
+
 // Extension lifecycle events
 browserAPI.runtime.onInstalled.addListener(async (details) => {
     debugLog('Extension installed/updated:', details);
@@ -808,13 +4444,17 @@ browserAPI.runtime.onInstalled.addListener(async (details) => {
             debugLog('First install - setting up defaults');
             await StorageManager.setDefaultFolder(DEFAULT_FOLDER);
             await StorageManager.setRules(DEFAULT_RULES);
+            await SettingsSchema.markCurrent();
+            await StorageManager.bumpRevision();
             
             // Open options page
             if (browserAPI.tabs && browserAPI.tabs.create) {
                 browserAPI.tabs.create({ url: 'options.html' });
             }
         } else if (details.reason === 'update') {
-            debugLog('Extension updated');
+            debugLog('Extension updated from', details.previousVersion);
+            const result = await SettingsSchema.ensureMigrated();
+            debugLog('Settings migration result:', result);
         }
     } catch (error) {
         debugLog('Error during installation:', error);
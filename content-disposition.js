@@ -0,0 +1,195 @@
+/**
+ * Download Sorter for Firefox
+ * Content-Disposition header parsing, loaded before bg.js
+ *
+ * Kept free of browser APIs so it can also be loaded by node for the
+ * header fixtures in test/.
+ *
+ * @author Will Harrys
+ * @version 1.0
+ * @license MIT
+ */
+
+/**
+ * Content-Disposition header parsing (RFC 6266), including RFC 5987
+ * extended "filename*" values. Pure functions with no browser API use.
+ */
+class ContentDisposition {
+    /**
+     * Parse a Content-Disposition header value
+     * @param {string} header - Raw header value
+     * @returns {Object|null} { type, filename, params } with a lowercased
+     *     disposition type and the best decoded filename (or null), or null
+     *     when the header is empty
+     */
+    static parse(header) {
+        if (typeof header !== 'string' || !header.trim()) {
+            return null;
+        }
+
+        const separator = header.indexOf(';');
+        const type = (separator === -1 ? header : header.substring(0, separator)).trim().toLowerCase();
+
+        // Some servers omit the type and send only "filename=...", which browsers treat as an attachment
+        if (type.includes('=')) {
+            const params = this.parseParameters(header);
+            return { type: 'attachment', filename: this.pickFilename(params), params };
+        }
+
+        const params = separator === -1 ? {} : this.parseParameters(header.substring(separator + 1));
+        return { type, filename: this.pickFilename(params), params };
+    }
+
+    /**
+     * Split "; name=value" pairs, honouring quoted strings and backslash escapes.
+     * The first occurrence of a parameter wins.
+     * @param {string} input - Parameter list
+     * @returns {Object} Lowercased parameter names to raw (unquoted) values
+     */
+    static parseParameters(input) {
+        const params = {};
+        let index = 0;
+
+        while (index < input.length) {
+            // Skip separators and whitespace
+            while (index < input.length && /[;\s]/.test(input[index])) index++;
+
+            const nameStart = index;
+            while (index < input.length && input[index] !== '=' && input[index] !== ';') index++;
+            const name = input.substring(nameStart, index).trim().toLowerCase();
+
+            if (input[index] !== '=') {
+                continue;
+            }
+            index++;
+            while (index < input.length && /\s/.test(input[index])) index++;
+
+            let value = '';
+            if (input[index] === '"') {
+                index++;
+                while (index < input.length && input[index] !== '"') {
+                    if (input[index] === '\\' && index + 1 < input.length) {
+                        index++;
+                    }
+                    value += input[index];
+                    index++;
+                }
+                // Skip the closing quote and anything up to the next parameter
+                while (index < input.length && input[index] !== ';') index++;
+            } else {
+                const valueStart = index;
+                while (index < input.length && input[index] !== ';') index++;
+                value = input.substring(valueStart, index).trim();
+            }
+
+            if (name && !(name in params)) {
+                params[name] = value;
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Prefer a decodable filename* over filename, then reduce it to a base name
+     * @param {Object} params - Parsed parameters
+     * @returns {string|null} Filename, or null if none is usable
+     */
+    static pickFilename(params) {
+        const candidates = [];
+        if (params['filename*'] !== undefined) {
+            candidates.push(this.decodeExtValue(params['filename*']));
+        }
+        if (params.filename !== undefined) {
+            candidates.push(this.decodePlainValue(params.filename));
+        }
+
+        for (const candidate of candidates) {
+            const filename = this.baseName(candidate);
+            if (filename) {
+                return filename;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decode an RFC 5987 ext-value: charset'language'percent-encoded-bytes
+     * @param {string} value - Raw ext-value
+     * @returns {string|null} Decoded text, or null if malformed or the charset is unsupported
+     */
+    static decodeExtValue(value) {
+        const match = /^([^']*)'[^']*'(.*)$/.exec(value.trim());
+        if (!match) {
+            return null;
+        }
+
+        const charset = (match[1] || 'utf-8').toLowerCase();
+        return this.decodePercentEncoded(match[2], charset);
+    }
+
+    /**
+     * Decode a plain filename value. Many servers percent-encode UTF-8 names
+     * here instead of using filename*, so decode those when they are valid.
+     * @param {string} value - Unquoted filename value
+     * @returns {string} Filename
+     */
+    static decodePlainValue(value) {
+        if (/%[0-9a-f]{2}/i.test(value)) {
+            const decoded = this.decodePercentEncoded(value, 'utf-8');
+            if (decoded !== null) {
+                return decoded;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Decode percent-encoded bytes in the given charset
+     * @param {string} text - Percent-encoded text
+     * @param {string} charset - Lowercased charset name
+     * @returns {string|null} Decoded text, or null if it can't be decoded
+     */
+    static decodePercentEncoded(text, charset) {
+        const bytes = [];
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (char === '%' && /^[0-9a-f]{2}$/i.test(text.substring(index + 1, index + 3))) {
+                bytes.push(parseInt(text.substring(index + 1, index + 3), 16));
+                index += 2;
+            } else if (char.charCodeAt(0) < 0x80) {
+                bytes.push(char.charCodeAt(0));
+            } else {
+                // Raw non-ASCII characters are not allowed in an ext-value
+                return null;
+            }
+        }
+
+        try {
+            if (charset === 'iso-8859-1' || charset === 'latin1') {
+                return String.fromCharCode(...bytes);
+            }
+            return new TextDecoder(charset, { fatal: true }).decode(new Uint8Array(bytes));
+        } catch {
+            // Unsupported charset, or bytes that are invalid in it
+            return null;
+        }
+    }
+
+    /**
+     * Strip any directory part a server may have included
+     * @param {string|null} filename - Decoded filename
+     * @returns {string} Base name, or '' if nothing usable is left
+     */
+    static baseName(filename) {
+        if (typeof filename !== 'string') {
+            return '';
+        }
+        const name = filename.split(/[\/\\]/).pop().replace(/[\x00-\x1f]/g, '').trim();
+        return name === '.' || name === '..' ? '' : name;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentDisposition;
+}
@@ -10,194 +10,686 @@
 // Use browser namespace for Firefox compatibility, with chrome fallback
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-// Production configuration - set DEBUG to false for release builds
+// Production configuration - set DEBUG to false for release builds.
+// Verbose logging can also be switched on at runtime from the options page.
 const DEBUG = false;
+let verboseLogging = false;
 const EXTENSION_NAME = 'Download Sorter Options';
 
+// Edits are saved this long after the last keystroke
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Condition groups can be nested this deep, matching the background script's limit
+const MAX_CONDITION_DEPTH = 3;
+const BYTES_PER_MB = 1024 * 1024;
+
 /**
- * Secure logging function that only logs in debug mode
+ * Secure logging function that only logs in debug or verbose mode
  * @param {...any} args - Arguments to log
  */
 function debugLog(...args) {
-    if (DEBUG) {
+    if (DEBUG || verboseLogging) {
         console.log(`[${EXTENSION_NAME}]`, new Date().toISOString(), ...args);
     }
 }
 
-/**
- * Input validation and security utilities for options page
- */
-const OptionsSecurityUtils = {
-    /**
-     * Sanitize folder name input
-     * @param {string} folderName - User input folder name
-     * @returns {string} Sanitized folder name
-     */
-    sanitizeFolderName(folderName) {
-        if (typeof folderName !== 'string') return '';
-        
-        return folderName
-            .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename characters
-            .replace(/\.\./g, '') // Remove directory traversal
-            .replace(/^\./, '') // Remove leading dots
-            .trim()
-            .substring(0, 100); // Limit length
-    },
-
-    /**
-     * Validate file extension pattern
-     * @param {string} pattern - Extension pattern to validate
-     * @returns {boolean} Whether pattern is safe
-     */
-    isValidExtensionPattern(pattern) {
-        if (typeof pattern !== 'string' || pattern.length > 200) return false;
-        
-        // Only allow alphanumeric, comma, asterisk, period
-        return /^[a-zA-Z0-9,.*\s]+$/.test(pattern);
-    },
-
-    /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-};
-
 class OptionsManager {
     constructor() {
         this.rules = [];
         this.defaultFolder = 'downloads';
         this.ruleCounter = 1;
+        this.activityLog = [];
+        this.pendingImport = null;
+        this.profiles = [];
+        this.activeProfileId = 'default';
+        this.loadedProfileId = 'default'; // profile whose rules are in the editor
+        this.rulesUnavailable = false;
+        this.rulesDirty = false;
+        this.notifications = { onComplete: false, onError: true };
+        this.revision = null;
+        this.pendingChanges = Promise.resolve();
+        this.autosaveTimer = null;
+        this.savedState = null;
+        this.undoState = null;
         debugLog('OptionsManager created');
         this.init();
     }
 
     async init() {
+        try {
+            const result = await browserAPI.storage.local.get('verboseLogging');
+            verboseLogging = result.verboseLogging === true;
+        } catch (error) {
+            debugLog('Could not read the verbose logging setting:', error);
+        }
+
         debugLog('Initializing options manager...');
         await this.loadFromStorage();
         this.renderRules();
         this.setupEventListeners();
+        this.setupProfiles();
+        this.setupImportExport();
+        this.setupActivityLog();
+        this.setupStatistics();
+        this.setupDiagnostics();
+        this.setupSettingsSync();
         debugLog('Options manager initialized');
     }
 
     async loadFromStorage() {
         try {
-            const result = await browserAPI.storage.sync.get(['rules', 'defaultFolder']);
+            // The background script reassembles and validates stored rules
+            const result = await browserAPI.runtime.sendMessage({ type: 'getSettings' });
             debugLog('Loaded from storage:', result);
             
-            // Parse rules if they're stored as a string
-            let rules = result.rules || this.getDefaultRules();
-            if (typeof rules === 'string') {
-                try {
-                    rules = JSON.parse(rules);
-                } catch (parseError) {
-                    debugLog('Error parsing rules, using defaults:', parseError);
-                    rules = this.getDefaultRules();
-                }
-            }
-            
-            this.rules = Array.isArray(rules) ? rules : this.getDefaultRules();
+            this.rules = Array.isArray(result.rules) ? result.rules : [];
+            this.loadedProfileId = result.profileId || 'default';
+            this.rulesUnavailable = result.rulesAvailable === false;
             this.defaultFolder = result.defaultFolder || 'downloads';
+            this.revision = result.revision || null;
+            this.rulesDirty = false;
+            if (result.notifications) {
+                this.notifications = result.notifications;
+            }
+            this.renderNotificationSettings();
+            this.renderStorageStatus(result.storage);
+            this.renderDirectoryStatus(result.downloadsDirectoryKnown);
+
+            // Undo only reaches back to the settings as loaded
+            this.savedState = { rules: this.rules, defaultFolder: this.defaultFolder, notifications: this.notifications };
+            this.undoState = null;
+            this.updateUndoButton();
             
             // Update UI
             const defaultFolderInput = document.getElementById('defaultFolder');
             if (defaultFolderInput) {
                 defaultFolderInput.value = this.defaultFolder;
             }
+
+            if (this.rulesUnavailable) {
+                this.showSettingsBanner('unavailable');
+                this.setAutosaveStatus('Not saved: your saved rules could not be read.', true);
+            }
         } catch (error) {
             debugLog('Error loading from storage:', error);
-            this.rules = this.getDefaultRules();
+            this.rules = [];
             this.defaultFolder = 'downloads';
+            this.showNotification('Could not load settings from the background script.', 'error');
         }
     }
 
     /**
      * Save settings to storage with validation and security checks
+     * @param {Object} [options] - Save options
+     * @param {boolean} [options.force] - Save even if the settings were changed elsewhere since they were loaded
+     * @param {boolean} [options.auto] - Autosave: skip unchanged settings, don't save while a rule has errors,
+     *     and leave the inputs as typed
+     * @param {boolean} [options.undoing] - Restoring the previous settings, which can't be undone in turn
      * @returns {Promise<void>}
      */
-    async saveToStorage() {
+    async saveToStorage({ force = false, auto = false, undoing = false } = {}) {
+        if (!auto) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+
+        // Saving now would replace the real rules with the defaults shown instead
+        if (this.rulesUnavailable) {
+            this.setAutosaveStatus('Not saved: your saved rules could not be read.', true);
+            this.showSettingsBanner('unavailable');
+            return;
+        }
+
+        const finishChange = this.beginChange();
         try {
-            // Get and sanitize default folder value
-            const defaultFolderInput = document.getElementById('defaultFolder');
-            if (defaultFolderInput) {
-                const rawFolder = defaultFolderInput.value.trim();
-                this.defaultFolder = OptionsSecurityUtils.sanitizeFolderName(rawFolder) || 'downloads';
-                
-                // Update input to show sanitized value
-                if (this.defaultFolder !== rawFolder) {
-                    defaultFolderInput.value = this.defaultFolder;
-                }
+            // Validate rules and default folder with the background script's checks
+            const settings = await this.collectSettingsFromDom(!auto);
+
+            const notifyOnComplete = document.getElementById('notifyOnComplete');
+            const notifyOnError = document.getElementById('notifyOnError');
+            const notifications = notifyOnComplete && notifyOnError
+                ? { onComplete: notifyOnComplete.checked, onError: notifyOnError.checked }
+                : this.notifications;
+            const state = { rules: settings.rules, defaultFolder: settings.defaultFolder, notifications };
+
+            if (auto && settings.invalidRows > 0) {
+                this.setAutosaveStatus('Not saved: fix the fields marked in red.', true);
+                return;
+            }
+            if (auto && this.isSavedState(state)) {
+                this.rulesDirty = false;
+                this.setAutosaveStatus('All changes saved.');
+                return;
             }
 
-            // Get and validate rules from the DOM
-            this.rules = [];
-            const ruleElements = document.querySelectorAll('.rule-item');
-            
-            ruleElements.forEach((element, index) => {
-                const extensionInput = element.querySelector('.rule-extension');
-                const folderInput = element.querySelector('.rule-folder');
-                
-                if (extensionInput && folderInput) {
-                    const rawExtension = extensionInput.value.trim();
-                    const rawFolder = folderInput.value.trim();
-                    
-                    // Validate and sanitize inputs
-                    if (rawExtension && rawFolder && 
-                        OptionsSecurityUtils.isValidExtensionPattern(rawExtension)) {
-                        
-                        const sanitizedFolder = OptionsSecurityUtils.sanitizeFolderName(rawFolder);
-                        
-                        if (sanitizedFolder) {
-                            this.rules.push({
-                                id: 'rule-' + (index + 1),
-                                extension: rawExtension.toLowerCase(),
-                                foldername: sanitizedFolder
-                            });
-                            
-                            // Update inputs to show sanitized values
-                            if (folderInput.value !== sanitizedFolder) {
-                                folderInput.value = sanitizedFolder;
-                            }
-                        }
-                    } else if (rawExtension && !OptionsSecurityUtils.isValidExtensionPattern(rawExtension)) {
-                        // Highlight invalid extension pattern
-                        extensionInput.style.borderColor = '#e74c3c';
-                        setTimeout(() => {
-                            extensionInput.style.borderColor = '';
-                        }, 3000);
-                    }
-                }
-            });
+            this.rules = state.rules;
+            this.defaultFolder = state.defaultFolder;
+            this.notifications = state.notifications;
+
+            // Update input to show sanitized value
+            const defaultFolderInput = document.getElementById('defaultFolder');
+            if (!auto && defaultFolderInput && defaultFolderInput.value !== this.defaultFolder) {
+                defaultFolderInput.value = this.defaultFolder;
+            }
 
-            // Save to storage using browser API
-            await browserAPI.storage.sync.set({
+            // Save through the background script, which splits large rule sets across sync items
+            this.setAutosaveStatus('Saving…');
+            const result = await browserAPI.runtime.sendMessage({
+                type: 'saveSettings',
+                profileId: this.loadedProfileId,
                 rules: this.rules,
-                defaultFolder: this.defaultFolder
+                defaultFolder: this.defaultFolder,
+                notifications: this.notifications,
+                revision: this.revision,
+                force
             });
+
+            if (result && result.unavailable) {
+                this.rulesUnavailable = true;
+                this.setAutosaveStatus('Not saved: your saved rules could not be read.', true);
+                this.showSettingsBanner('unavailable');
+                return;
+            }
+            if (result && result.conflict) {
+                this.setAutosaveStatus('Not saved: the settings were changed elsewhere.', true);
+                this.showSettingsBanner(result.profileChanged ? 'profile' : 'conflict');
+                return;
+            }
+            if (!result || !result.success) {
+                throw new Error((result && result.error) || 'Background script could not save settings');
+            }
             
             debugLog('Settings saved:', { rulesCount: this.rules.length, defaultFolder: this.defaultFolder });
-            this.showNotification('Settings saved successfully!', 'success');
+            this.revision = result.revision;
+            this.rulesDirty = false;
+            this.undoState = undoing ? null : this.savedState;
+            this.savedState = state;
+            this.updateUndoButton();
+            this.hideSettingsBanner();
+            this.renderStorageStatus(result.storage);
+            this.setAutosaveStatus('All changes saved.');
+
+            if (auto) return;
+            if (settings.invalidRows > 0) {
+                this.showNotification(`Saved, except ${settings.invalidRows} rule(s) with errors. Fix the fields marked in red.`, 'warning');
+            } else if (result.storage && result.storage.localOnlyKeys.length > 0) {
+                this.showNotification('Settings saved on this computer only: they are too large to sync.', 'warning');
+            } else {
+                this.showNotification('Settings saved successfully!', 'success');
+            }
             
         } catch (error) {
             debugLog('Error saving to storage:', error.message);
+            this.setAutosaveStatus('Not saved: an error occurred.', true);
             this.showNotification('Error saving settings. Please try again.', 'error');
+        } finally {
+            finishChange();
+        }
+    }
+
+    /**
+     * Save shortly after the last edit, so a burst of typing is saved, and
+     * undone, as one change
+     */
+    scheduleAutosave() {
+        this.rulesDirty = true;
+        clearTimeout(this.autosaveTimer);
+        this.setAutosaveStatus('Unsaved changes…');
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.saveToStorage({ auto: true });
+        }, AUTOSAVE_DELAY_MS);
+    }
+
+    /**
+     * Save a scheduled autosave now, e.g. before switching profile or when the page is hidden
+     * @returns {Promise<void>}
+     */
+    async flushAutosave() {
+        if (!this.autosaveTimer) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        await this.saveToStorage({ auto: true });
+    }
+
+    isSavedState(state) {
+        // Rule IDs follow the row order in the editor, so they are not compared
+        const withoutIds = (key, value) => (key === 'id' ? undefined : value);
+        return JSON.stringify(state, withoutIds) === JSON.stringify(this.savedState, withoutIds);
+    }
+
+    setAutosaveStatus(text, isError = false) {
+        const statusElement = document.getElementById('autosaveStatus');
+        if (!statusElement) return;
+
+        statusElement.textContent = text;
+        statusElement.classList.toggle('autosave-error', isError);
+    }
+
+    updateUndoButton() {
+        const undoBtn = document.getElementById('undoChange');
+        if (undoBtn) {
+            undoBtn.disabled = !this.undoState;
+        }
+    }
+
+    /**
+     * Put back the settings as they were before the last save
+     * @returns {Promise<void>}
+     */
+    async undoLastChange() {
+        if (!this.undoState) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        const { rules, defaultFolder, notifications } = this.undoState;
+        this.rules = rules;
+        this.defaultFolder = defaultFolder;
+        this.notifications = notifications;
+
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        if (defaultFolderInput) {
+            defaultFolderInput.value = defaultFolder;
+        }
+        this.renderNotificationSettings();
+        this.renderRules();
+
+        await this.saveToStorage({ auto: true, undoing: true });
+        this.showNotification('Undid the last change.', 'info');
+    }
+
+    /**
+     * Mark the start of a settings change made from this page, so the storage
+     * events it causes are not mistaken for changes made elsewhere
+     * @returns {Function} Call when the change has finished
+     */
+    beginChange() {
+        let finish;
+        const change = new Promise(resolve => { finish = resolve; });
+        this.pendingChanges = Promise.all([this.pendingChanges, change]);
+        return finish;
+    }
+
+    /**
+     * Watch for settings changed outside this page: in another options tab,
+     * on a synced device, or by switching profile from the toolbar
+     */
+    setupSettingsSync() {
+        const actions = {
+            reloadSettings: () => this.reloadSettings(),
+            mergeSettings: () => this.mergeSettings(),
+            keepMySettings: () => this.keepMySettings()
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        browserAPI.storage.onChanged.addListener((changes, areaName) => this.handleStorageChange(changes, areaName));
+    }
+
+    async handleStorageChange(changes, areaName) {
+        const revisionChange = areaName === 'sync' ? changes.settingsRevision : undefined;
+        const profileChange = areaName === 'local' ? changes.activeProfile : undefined;
+        const profilesChange = areaName === 'sync' ? changes.profiles : undefined;
+        if (!revisionChange && !profileChange && !profilesChange) return;
+
+        // Let this page's own saves and profile switches finish first
+        await this.pendingChanges;
+
+        const profileSwitched = Boolean(profileChange) && (profileChange.newValue || 'default') !== this.loadedProfileId;
+        const changedElsewhere = profileSwitched || (revisionChange && revisionChange.newValue !== this.revision);
+
+        if (!changedElsewhere) {
+            if (profilesChange) {
+                await this.loadProfiles();
+            }
+            return;
+        }
+
+        debugLog('Settings changed elsewhere:', { revision: revisionChange, profile: profileChange });
+        if (this.rulesDirty) {
+            this.showSettingsBanner(profileSwitched ? 'profile' : 'changed');
+        } else {
+            await this.reloadSettings();
+            this.showNotification('Settings were changed elsewhere and have been reloaded.', 'info');
+        }
+    }
+
+    showSettingsBanner(reason) {
+        const banner = document.getElementById('settingsBanner');
+        const message = document.getElementById('settingsBannerMessage');
+        if (!banner || !message) return;
+
+        const messages = {
+            conflict: 'Not saved: these settings were changed in another tab or on another device after this page loaded them.',
+            changed: 'These settings were changed in another tab or on another device while you were editing them.',
+            profile: 'Another profile was made active while you were editing the rules of this one.',
+            unavailable: 'Your saved rules could not be read, for example because they are still syncing, so the default rules are shown. ' +
+                'Nothing is saved until they load.'
+        };
+        message.textContent = messages[reason] || messages.changed;
+
+        // Only reloading helps when there is nothing to merge with or keep, and
+        // another profile's rules are nothing to merge this profile's edits into
+        const hidden = {
+            mergeSettings: reason === 'unavailable' || reason === 'profile',
+            keepMySettings: reason === 'unavailable'
+        };
+        Object.entries(hidden).forEach(([id, isHidden]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.hidden = isHidden;
+            }
+        });
+        banner.hidden = false;
+    }
+
+    hideSettingsBanner() {
+        const banner = document.getElementById('settingsBanner');
+        if (banner) {
+            banner.hidden = true;
+        }
+    }
+
+    /**
+     * Save the edits in this page over the settings changed elsewhere. If
+     * another profile was made active meanwhile, the edited one becomes
+     * active again, so the rules that are saved are also the ones used.
+     * @returns {Promise<void>}
+     */
+    async keepMySettings() {
+        const finishChange = this.beginChange();
+        try {
+            const { activeProfileId } = await browserAPI.runtime.sendMessage({ type: 'getProfiles' });
+            if (activeProfileId !== this.loadedProfileId) {
+                const result = await browserAPI.runtime.sendMessage({ type: 'setActiveProfile', profileId: this.loadedProfileId });
+                if (!result || result.error) {
+                    this.showNotification(result ? result.error : 'Could not switch profile.', 'error');
+                    return;
+                }
+            }
+        } catch (error) {
+            debugLog('Error restoring the edited profile:', error.message);
+            this.showNotification('Could not save settings. Please reload them instead.', 'error');
+            return;
+        } finally {
+            finishChange();
+        }
+
+        await this.loadProfiles();
+        await this.saveToStorage({ force: true });
+    }
+
+    /**
+     * Discard the edits in this page and show the saved settings
+     * @returns {Promise<void>}
+     */
+    async reloadSettings() {
+        this.hideSettingsBanner();
+        await this.loadFromStorage();
+        this.renderRules();
+        await this.loadProfiles();
+    }
+
+    /**
+     * Combine the saved settings with the edits in this page. Saved rules are
+     * kept; rules edited here replace saved rules with the same conditions or
+     * are added after them. The result is shown for review, not saved.
+     * @returns {Promise<void>}
+     */
+    async mergeSettings() {
+        try {
+            const { rules, defaultFolder } = await this.collectSettingsFromDom();
+            const saved = await browserAPI.runtime.sendMessage({ type: 'getSettings' });
+            if ((saved.profileId || 'default') !== this.loadedProfileId) {
+                this.showSettingsBanner('profile');
+                return;
+            }
+            const result = this.computeImport(saved.rules, defaultFolder, { rules }, 'merge');
+
+            this.rules = result.rules;
+            this.revision = saved.revision || null;
+            this.renderRules();
+            await this.loadProfiles();
+            this.hideSettingsBanner();
+            this.scheduleAutosave();
+
+            this.showNotification(
+                `Merged ${result.diff.added.length} added and ${result.diff.changed.length} changed rules into the saved ones. Use Undo to go back.`,
+                'info'
+            );
+        } catch (error) {
+            debugLog('Error merging settings:', error.message);
+            this.showNotification('Could not merge settings. Please reload them instead.', 'error');
+        }
+    }
+
+    renderNotificationSettings() {
+        const notifyOnComplete = document.getElementById('notifyOnComplete');
+        const notifyOnError = document.getElementById('notifyOnError');
+
+        if (notifyOnComplete) notifyOnComplete.checked = this.notifications.onComplete;
+        if (notifyOnError) notifyOnError.checked = this.notifications.onError;
+    }
+
+    /**
+     * Read the rules currently shown in the editor as typed
+     * @returns {Array} Raw rules in display order
+     */
+    readRulesFromDom() {
+        return Array.from(document.querySelectorAll('.rule-item')).map((element, index) => {
+            const valueOf = selector => {
+                const input = element.querySelector(selector);
+                return input ? input.value.trim() : '';
+            };
+            const enabledInput = element.querySelector('.rule-enabled');
+            const duplicatesSelect = element.querySelector('.rule-duplicates');
+
+            return {
+                id: 'rule-' + (index + 1),
+                name: valueOf('.rule-name'),
+                extension: valueOf('.rule-extension'),
+                source: valueOf('.rule-source'),
+                mime: valueOf('.rule-mime'),
+                foldername: valueOf('.rule-folder'),
+                enabled: !enabledInput || enabledInput.checked,
+                conditions: this.readConditionTree(element),
+                rename: this.collectRename(element),
+                duplicatePolicy: duplicatesSelect ? duplicatesSelect.value : 'uniquify'
+            };
+        });
+    }
+
+    /**
+     * Validate and sanitize the editor's rules and default folder in the
+     * background script, which applies the same checks as when it saves them.
+     * Invalid fields get an error message and their rules are left out, and
+     * rules that earlier rules keep from matching get a warning. Blank new
+     * rows are left out without an error.
+     * @param {boolean} [showSanitized] - Write sanitized folders back into the inputs
+     * @returns {Promise<{rules: Array, defaultFolder: string, invalidRows: number}>} Valid rules in display
+     *     order, the sanitized default folder, and how many filled-in rows have errors
+     */
+    async collectSettingsFromDom(showSanitized = false) {
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        const rawRules = this.readRulesFromDom();
+        const result = await browserAPI.runtime.sendMessage({
+            type: 'validateSettings',
+            rules: rawRules,
+            defaultFolder: defaultFolderInput ? defaultFolderInput.value.trim() : this.defaultFolder
+        });
+
+        const fieldSelectors = {
+            extension: '.rule-extension',
+            source: '.rule-source',
+            mime: '.rule-mime',
+            conditions: '.rule-extension',
+            conditionTree: '.condition-root',
+            foldername: '.rule-folder',
+            rename: '.rename-find'
+        };
+        const ruleElements = document.querySelectorAll('.rule-item');
+        ruleElements.forEach(element => this.clearRuleMessages(element));
+
+        let invalidRows = 0;
+        result.errors.forEach(({ index, fields, messages }) => {
+            const element = ruleElements[index];
+            if (!element || this.isBlankRule(rawRules[index])) return;
+
+            invalidRows++;
+            fields.forEach(field => {
+                const input = fieldSelectors[field] ? element.querySelector(fieldSelectors[field]) : null;
+                if (input) this.showFieldError(input, messages[field]);
+            });
+        });
+
+        result.warnings.forEach(({ index, message }) => {
+            const element = ruleElements[index];
+            if (element) this.showRuleWarning(element, message);
+        });
+
+        if (!showSanitized) {
+            return { rules: result.rules, defaultFolder: result.defaultFolder, invalidRows };
+        }
+
+        // Show sanitized folders in the rows that were kept
+        result.rules.forEach(rule => {
+            const element = ruleElements[Number(rule.id.replace('rule-', '')) - 1];
+            const folderInput = element ? element.querySelector('.rule-folder') : null;
+            if (folderInput && folderInput.value !== rule.foldername) {
+                folderInput.value = rule.foldername;
+            }
+        });
+
+        return { rules: result.rules, defaultFolder: result.defaultFolder, invalidRows };
+    }
+
+    isBlankRule(rule) {
+        return !rule.extension && !rule.source && !rule.mime && !rule.conditions && !rule.foldername;
+    }
+
+    clearRuleMessages(element) {
+        element.querySelectorAll('.field-error, .rule-warning').forEach(node => node.remove());
+        element.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+    }
+
+    showFieldError(input, message) {
+        input.classList.add('invalid');
+
+        const error = document.createElement('small');
+        error.className = 'field-error';
+        error.textContent = message;
+        input.insertAdjacentElement('afterend', error);
+
+        // Errors in the optional fields would otherwise be hidden
+        const details = input.closest('details');
+        if (details) {
+            details.open = true;
+        }
+    }
+
+    showRuleWarning(element, message) {
+        const warning = document.createElement('p');
+        warning.className = 'rule-warning';
+        warning.textContent = message;
+        element.appendChild(warning);
+    }
+
+    /**
+     * Read a rule row's rename settings
+     * @param {HTMLElement} element - Rule row
+     * @returns {Object|null} Settings, or null when nothing is renamed
+     */
+    collectRename(element) {
+        const findInput = element.querySelector('.rename-find');
+        if (!findInput) return null;
+
+        const rename = {
+            stripCopySuffix: element.querySelector('.rename-strip-copy').checked,
+            stripTracking: element.querySelector('.rename-strip-tracking').checked,
+            datePrefix: element.querySelector('.rename-date-prefix').checked,
+            lowercase: element.querySelector('.rename-lowercase').checked,
+            replaceSpaces: element.querySelector('.rename-spaces').value,
+            find: findInput.value,
+            replace: element.querySelector('.rename-replace').value
+        };
+
+        const renames = rename.stripCopySuffix || rename.stripTracking || rename.datePrefix ||
+            rename.lowercase || rename.replaceSpaces || rename.find;
+        return renames ? rename : null;
+    }
+
+    /**
+     * Read a rule row's condition tree as entered
+     * @param {HTMLElement} element - Rule row
+     * @returns {Object|null} Raw tree, or null when the rule has no conditions
+     */
+    readConditionTree(element) {
+        const root = element.querySelector('.condition-root');
+        if (!root || !root.querySelector('.condition-leaf')) return null;
+        return this.readConditionNode(root);
+    }
+
+    readConditionNode(element) {
+        if (element.classList.contains('condition-group')) {
+            const header = element.querySelector(':scope > .condition-header');
+            const list = element.querySelector(':scope > .condition-list');
+            return {
+                type: header.querySelector('.condition-match').value,
+                negate: header.querySelector('.condition-negate').checked,
+                conditions: Array.from(list.children).map(child => this.readConditionNode(child))
+            };
+        }
+
+        const negate = element.querySelector('.condition-negate');
+        const type = element.querySelector('.condition-type').value;
+        if (type === 'size') {
+            const megabytes = input => input.value.trim() === '' ? null : Number(input.value) * BYTES_PER_MB;
+            return {
+                type,
+                negate: negate.checked,
+                min: megabytes(element.querySelector('.condition-min')),
+                max: megabytes(element.querySelector('.condition-max'))
+            };
+        }
+        return { type, negate: negate.checked, value: element.querySelector('.condition-value').value.trim() };
+    }
+
+    /**
+     * Show how much sync storage is used and warn when rules could not be synced
+     * @param {Object} status - Storage status from the background script
+     */
+    renderStorageStatus(status) {
+        const statusElement = document.getElementById('storageStatus');
+        if (!statusElement || !status) return;
+
+        const usedKb = (status.bytesInUse / 1024).toFixed(1);
+        const quotaKb = Math.round(status.quotaBytes / 1024);
+        const percent = Math.min(100, Math.round((status.bytesInUse / status.quotaBytes) * 100));
+
+        statusElement.textContent = `Sync storage: ${usedKb} KB of ${quotaKb} KB used (${percent}%)`;
+        statusElement.classList.toggle('storage-warning', status.localOnlyKeys.length > 0 || percent >= 90);
+
+        if (status.localOnlyKeys.length > 0) {
+            statusElement.textContent += ' — your rules are too large to sync and are saved on this computer only.';
         }
     }
 
-    getDefaultRules() {
-        return [
-            { id: 'default-1', extension: "jpg,jpeg,gif,png,webp,svg", foldername: "images" },
-            { id: 'default-2', extension: "zip,7z,tar,gz,rar", foldername: "compression" },
-            { id: 'default-3', extension: "exe,msi,dmg,deb", foldername: "executables" },
-            { id: 'default-4', extension: "pdf,doc,docx,txt,rtf", foldername: "documents" },
-            { id: 'default-5', extension: "mp4,avi,mkv,mov,wmv", foldername: "videos" },
-            { id: 'default-6', extension: "mp3,wav,flac,aac,m4a", foldername: "audio" }
-        ];
+    /**
+     * Say that downloads the extension missed are not sorted yet, until the
+     * background script has seen a download and learned the downloads folder
+     * @param {boolean} known - Whether the downloads folder is known
+     */
+    renderDirectoryStatus(known) {
+        const statusElement = document.getElementById('directoryStatus');
+        if (statusElement) {
+            statusElement.hidden = known !== false;
+        }
     }
 
     setupEventListeners() {
@@ -212,6 +704,27 @@ class OptionsManager {
             });
         }
 
+        // Autosave edits to rules, the default folder and notification settings
+        const rulesContainer = document.getElementById('rulesContainer');
+        if (rulesContainer) {
+            rulesContainer.addEventListener('input', () => this.scheduleAutosave());
+            rulesContainer.addEventListener('change', () => this.scheduleAutosave());
+        }
+        ['defaultFolder', 'notifyOnComplete', 'notifyOnError'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => this.scheduleAutosave());
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.flushAutosave();
+        });
+
+        const undoBtn = document.getElementById('undoChange');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undoLastChange());
+        }
+
         // Save button
         const saveBtn = document.getElementById('saveSettings');
         if (saveBtn) {
@@ -230,6 +743,24 @@ class OptionsManager {
             });
         }
 
+        // Default folder preview
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        const defaultFolderPreview = document.getElementById('defaultFolderPreview');
+        if (defaultFolderInput && defaultFolderPreview) {
+            const refreshPreview = () => this.updateFolderPreview(defaultFolderInput, defaultFolderPreview, 'default', '');
+            defaultFolderInput.addEventListener('input', refreshPreview);
+            refreshPreview();
+        }
+
+        // Rule tester
+        const runTestBtn = document.getElementById('runRuleTest');
+        if (runTestBtn) {
+            runTestBtn.addEventListener('click', () => {
+                debugLog('Rule test button clicked');
+                this.runRuleTest();
+            });
+        }
+
         // File type presets
         this.setupPresetEventListeners();
 
@@ -265,26 +796,145 @@ class OptionsManager {
         const container = document.getElementById('rulesContainer');
         if (!container) return;
 
-        const ruleElement = this.createRuleElement(extensionValue, foldernameValue);
+        const ruleElement = this.createRuleElement({ extension: extensionValue, foldername: foldernameValue });
         container.appendChild(ruleElement);
+        this.scheduleAutosave();
         
         debugLog('Rule added:', { extension: extensionValue, folder: foldernameValue });
     }
 
-    createRuleElement(extensionValue, foldernameValue) {
+    createRuleElement(rule = {}) {
         const ruleDiv = document.createElement('div');
         ruleDiv.className = 'rule-item';
         
         ruleDiv.innerHTML = `
-            <input type="text" class="rule-extension" placeholder="e.g., pdf,doc,txt" value="${extensionValue}">
-            <input type="text" class="rule-folder" placeholder="e.g., documents" value="${foldernameValue}">
-            <button type="button" class="btn btn-danger remove-rule">Remove</button>
+            <div class="rule-main">
+                <label class="rule-field rule-toggle" title="Turn this rule off without deleting it">
+                    <span>On</span>
+                    <input type="checkbox" class="rule-enabled">
+                </label>
+                <label class="rule-field">
+                    <span>Extensions</span>
+                    <input type="text" class="rule-extension" placeholder="e.g., pdf,doc,txt">
+                </label>
+                <label class="rule-field">
+                    <span>Folder</span>
+                    <input type="text" class="rule-folder" placeholder="e.g., documents or images/{yyyy}">
+                    <small class="rule-preview"></small>
+                </label>
+                <button type="button" class="btn btn-danger remove-rule">Remove</button>
+            </div>
+            <details class="rule-more">
+                <summary>More options</summary>
+                <div class="rule-more-fields">
+                    <label class="rule-field">
+                        <span>Rule name</span>
+                        <input type="text" class="rule-name" placeholder="used by {rule}">
+                    </label>
+                    <label class="rule-field">
+                        <span>From site</span>
+                        <input type="text" class="rule-source" placeholder="any site, or e.g., *.github.com">
+                    </label>
+                    <label class="rule-field">
+                        <span>Content type</span>
+                        <input type="text" class="rule-mime" placeholder="any type, or e.g., image/*">
+                    </label>
+                    <label class="rule-field">
+                        <span>If already downloaded</span>
+                        <select class="rule-duplicates">
+                            <option value="uniquify">Keep both</option>
+                            <option value="skip">Skip</option>
+                            <option value="ask">Ask where to save</option>
+                        </select>
+                    </label>
+                </div>
+                <div class="rule-rename">
+                    <span class="rule-rename-title">Rename files</span>
+                    <div class="rule-rename-options">
+                        <label><input type="checkbox" class="rename-strip-copy"> Strip "(1)" and "- Copy"</label>
+                        <label><input type="checkbox" class="rename-strip-tracking"> Strip tracking suffixes</label>
+                        <label><input type="checkbox" class="rename-date-prefix"> Add date prefix</label>
+                        <label><input type="checkbox" class="rename-lowercase"> Lowercase</label>
+                    </div>
+                    <div class="rule-more-fields">
+                        <label class="rule-field">
+                            <span>Spaces</span>
+                            <select class="rename-spaces">
+                                <option value="">Keep</option>
+                                <option value="_">Replace with _</option>
+                                <option value="-">Replace with -</option>
+                            </select>
+                        </label>
+                        <label class="rule-field">
+                            <span>Find (regex)</span>
+                            <input type="text" class="rename-find" placeholder="e.g., ^document">
+                        </label>
+                        <label class="rule-field">
+                            <span>Replace with</span>
+                            <input type="text" class="rename-replace" placeholder="e.g., invoice">
+                        </label>
+                    </div>
+                </div>
+                <div class="rule-conditions">
+                    <span class="rule-conditions-title">Conditions</span>
+                    <small class="rule-conditions-hint">Combine conditions with AND, OR and NOT, e.g. extension pdf AND site bank.example.com. They replace the Extensions, From site and Content type fields.</small>
+                </div>
+            </details>
         `;
 
+        // Assign values as properties so user input never reaches innerHTML
+        ruleDiv.querySelector('.rule-name').value = rule.name || '';
+        ruleDiv.querySelector('.rule-extension').value = rule.extension || '';
+        ruleDiv.querySelector('.rule-source').value = rule.source || '';
+        ruleDiv.querySelector('.rule-mime').value = rule.mime || '';
+        ruleDiv.querySelector('.rule-folder').value = rule.foldername || '';
+
+        ruleDiv.querySelector('.rule-duplicates').value = rule.duplicatePolicy || 'uniquify';
+
+        const rename = rule.rename || {};
+        ruleDiv.querySelector('.rename-strip-copy').checked = rename.stripCopySuffix === true;
+        ruleDiv.querySelector('.rename-strip-tracking').checked = rename.stripTracking === true;
+        ruleDiv.querySelector('.rename-date-prefix').checked = rename.datePrefix === true;
+        ruleDiv.querySelector('.rename-lowercase').checked = rename.lowercase === true;
+        ruleDiv.querySelector('.rename-spaces').value = rename.replaceSpaces || '';
+        ruleDiv.querySelector('.rename-find').value = rename.find || '';
+        ruleDiv.querySelector('.rename-replace').value = rename.replace || '';
+
+        const root = this.createConditionGroup(rule.conditions || { type: 'all', conditions: [] }, 0);
+        root.classList.add('condition-root');
+        ruleDiv.querySelector('.rule-conditions').appendChild(root);
+        this.updateConditionMode(ruleDiv);
+
+        const enabledInput = ruleDiv.querySelector('.rule-enabled');
+        enabledInput.checked = rule.enabled !== false;
+        ruleDiv.classList.toggle('rule-disabled', !enabledInput.checked);
+        enabledInput.addEventListener('change', () => {
+            ruleDiv.classList.toggle('rule-disabled', !enabledInput.checked);
+        });
+
+        // Keep optional conditions visible when a rule uses them
+        if (rule.source || rule.mime || rule.conditions || rule.rename ||
+            (rule.duplicatePolicy && rule.duplicatePolicy !== 'uniquify')) {
+            ruleDiv.querySelector('.rule-more').open = true;
+        }
+
+        // Live preview of the expanded folder template
+        const refreshPreview = () => this.updateFolderPreview(
+            ruleDiv.querySelector('.rule-folder'),
+            ruleDiv.querySelector('.rule-preview'),
+            ruleDiv.querySelector('.rule-name').value,
+            ruleDiv.querySelector('.rule-extension').value
+        );
+        ['.rule-name', '.rule-extension', '.rule-folder'].forEach(selector => {
+            ruleDiv.querySelector(selector).addEventListener('input', refreshPreview);
+        });
+        refreshPreview();
+
         // Add remove functionality
         const removeBtn = ruleDiv.querySelector('.remove-rule');
         removeBtn.addEventListener('click', () => {
             ruleDiv.remove();
+            this.scheduleAutosave();
             debugLog('Rule removed');
         });
 
@@ -295,30 +945,200 @@ class OptionsManager {
         return ruleDiv;
     }
 
-    setupDragAndDropTarget(extensionInput) {
-        extensionInput.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            extensionInput.classList.add('drag-over');
-        });
+    /**
+     * Build the editor for a condition group and everything in it
+     * @param {Object} group - Group as stored, { type, negate, conditions }
+     * @param {number} depth - Nesting depth, 0 for the rule's root group
+     * @returns {HTMLElement} Group element
+     */
+    createConditionGroup(group, depth) {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'condition-group';
+        groupDiv.innerHTML = `
+            <div class="condition-header">
+                <label class="condition-not"><input type="checkbox" class="condition-negate"> NOT</label>
+                <select class="condition-match">
+                    <option value="all">All of these (AND)</option>
+                    <option value="any">Any of these (OR)</option>
+                </select>
+                <button type="button" class="btn btn-secondary add-condition">+ Condition</button>
+                <button type="button" class="btn btn-secondary add-group">+ Group</button>
+                <button type="button" class="btn btn-danger remove-condition">Remove</button>
+            </div>
+            <div class="condition-list"></div>
+        `;
 
-        extensionInput.addEventListener('dragleave', (e) => {
-            extensionInput.classList.remove('drag-over');
-        });
+        groupDiv.querySelector('.condition-negate').checked = group.negate === true;
+        groupDiv.querySelector('.condition-match').value = group.type === 'any' ? 'any' : 'all';
 
-        extensionInput.addEventListener('drop', (e) => {
-            e.preventDefault();
-            extensionInput.classList.remove('drag-over');
-            
-            const extensions = e.dataTransfer.getData('text/extensions');
-            if (extensions) {
-                // If the input is empty, replace it. If it has content, append with comma
-                const currentValue = extensionInput.value.trim();
-                if (currentValue && !currentValue.includes(extensions)) {
-                    extensionInput.value = currentValue + ',' + extensions;
-                } else if (!currentValue) {
-                    extensionInput.value = extensions;
-                }
-                debugLog('Extensions dropped:', extensions);
+        const list = groupDiv.querySelector('.condition-list');
+        const addGroupBtn = groupDiv.querySelector('.add-group');
+        const removeBtn = groupDiv.querySelector('.remove-condition');
+        addGroupBtn.hidden = depth + 1 >= MAX_CONDITION_DEPTH;
+        removeBtn.hidden = depth === 0;
+
+        groupDiv.querySelector('.add-condition').addEventListener('click', () => {
+            if (this.startConditions(groupDiv) === 0) {
+                list.appendChild(this.createConditionLeaf({ type: 'extension', value: '' }));
+            }
+            this.updateConditionMode(groupDiv.closest('.rule-item'));
+            this.scheduleAutosave();
+        });
+        addGroupBtn.addEventListener('click', () => {
+            this.startConditions(groupDiv);
+            list.appendChild(this.createConditionGroup({
+                type: 'any',
+                conditions: [{ type: 'extension', value: '' }]
+            }, depth + 1));
+            this.updateConditionMode(groupDiv.closest('.rule-item'));
+            this.scheduleAutosave();
+        });
+        removeBtn.addEventListener('click', () => this.removeCondition(groupDiv));
+
+        (Array.isArray(group.conditions) ? group.conditions : []).forEach(condition => {
+            list.appendChild(['all', 'any'].includes(condition.type)
+                ? this.createConditionGroup(condition, depth + 1)
+                : this.createConditionLeaf(condition));
+        });
+
+        return groupDiv;
+    }
+
+    /**
+     * Build the editor for one condition
+     * @param {Object} leaf - Condition as stored, e.g. { type: 'extension', value: 'pdf' }
+     * @returns {HTMLElement} Condition element
+     */
+    createConditionLeaf(leaf) {
+        const placeholders = {
+            extension: 'e.g., pdf,doc',
+            filename: 'e.g., invoice-*.pdf',
+            filenameRegex: 'e.g., ^statement-\\d+',
+            domain: 'e.g., bank.example.com',
+            mime: 'e.g., application/pdf'
+        };
+        const sizeHint = 'Only known for downloads the server sends as attachments, and for downloads sorted after they start. Direct file links have no size when they are sorted.';
+
+        const leafDiv = document.createElement('div');
+        leafDiv.className = 'condition-leaf';
+        leafDiv.innerHTML = `
+            <label class="condition-not"><input type="checkbox" class="condition-negate"> NOT</label>
+            <select class="condition-type">
+                <option value="extension">Extension</option>
+                <option value="filename">Filename (wildcards)</option>
+                <option value="filenameRegex">Filename (regex)</option>
+                <option value="domain">Site</option>
+                <option value="mime">Content type</option>
+                <option value="size">Size</option>
+                <option value="private">Private window</option>
+            </select>
+            <input type="text" class="condition-value">
+            <input type="number" class="condition-min" min="0" step="any" placeholder="min MB" title="${sizeHint}">
+            <input type="number" class="condition-max" min="0" step="any" placeholder="max MB" title="${sizeHint}">
+            <button type="button" class="btn btn-danger remove-condition">Remove</button>
+        `;
+
+        const typeSelect = leafDiv.querySelector('.condition-type');
+        const valueInput = leafDiv.querySelector('.condition-value');
+        const minInput = leafDiv.querySelector('.condition-min');
+        const maxInput = leafDiv.querySelector('.condition-max');
+
+        // Sizes are stored in bytes; 7 decimals of a MB keep every byte count exact
+        const megabytes = bytes => Number.isFinite(bytes) ? Number((bytes / BYTES_PER_MB).toFixed(7)) : '';
+
+        leafDiv.querySelector('.condition-negate').checked = leaf.negate === true;
+        const types = Array.from(typeSelect.options).map(option => option.value);
+        typeSelect.value = types.includes(leaf.type) ? leaf.type : 'extension';
+        valueInput.value = typeof leaf.value === 'string' ? leaf.value : '';
+        minInput.value = megabytes(leaf.min);
+        maxInput.value = megabytes(leaf.max);
+
+        const showInputs = () => {
+            const type = typeSelect.value;
+            valueInput.hidden = !placeholders[type];
+            valueInput.placeholder = placeholders[type] || '';
+            minInput.hidden = type !== 'size';
+            maxInput.hidden = type !== 'size';
+        };
+        typeSelect.addEventListener('change', showInputs);
+        showInputs();
+
+        leafDiv.querySelector('.remove-condition').addEventListener('click', () => this.removeCondition(leafDiv));
+
+        return leafDiv;
+    }
+
+    /**
+     * Move a rule's extension, site and content type fields into its condition
+     * tree when the first condition is added, so the rule keeps matching the same files
+     * @param {HTMLElement} groupDiv - Group a condition is being added to
+     * @returns {number} Number of conditions moved into the tree
+     */
+    startConditions(groupDiv) {
+        const ruleDiv = groupDiv.closest('.rule-item');
+        if (!ruleDiv || ruleDiv.querySelector('.condition-leaf')) return 0;
+
+        const list = ruleDiv.querySelector('.condition-root > .condition-list');
+        let moved = 0;
+        [['.rule-extension', 'extension'], ['.rule-source', 'domain'], ['.rule-mime', 'mime']].forEach(([selector, type]) => {
+            const input = ruleDiv.querySelector(selector);
+            if (!input.value.trim()) return;
+
+            list.appendChild(this.createConditionLeaf({ type, value: input.value.trim() }));
+            input.value = '';
+            moved++;
+        });
+        return moved;
+    }
+
+    removeCondition(element) {
+        const ruleDiv = element.closest('.rule-item');
+        element.remove();
+        this.updateConditionMode(ruleDiv);
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Switch off the extension, site and content type fields while the
+     * rule's condition tree replaces them
+     * @param {HTMLElement} ruleDiv - Rule row
+     */
+    updateConditionMode(ruleDiv) {
+        if (!ruleDiv) return;
+
+        const usesConditions = ruleDiv.querySelector('.condition-leaf') !== null;
+        ['.rule-extension', '.rule-source', '.rule-mime'].forEach(selector => {
+            const input = ruleDiv.querySelector(selector);
+            input.disabled = usesConditions;
+            input.title = usesConditions ? 'Replaced by the conditions under More options' : '';
+        });
+    }
+
+    setupDragAndDropTarget(extensionInput) {
+        extensionInput.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            extensionInput.classList.add('drag-over');
+        });
+
+        extensionInput.addEventListener('dragleave', (e) => {
+            extensionInput.classList.remove('drag-over');
+        });
+
+        extensionInput.addEventListener('drop', (e) => {
+            e.preventDefault();
+            extensionInput.classList.remove('drag-over');
+            
+            const extensions = e.dataTransfer.getData('text/extensions');
+            if (extensions) {
+                // If the input is empty, replace it. If it has content, append with comma
+                const currentValue = extensionInput.value.trim();
+                if (currentValue && !currentValue.includes(extensions)) {
+                    extensionInput.value = currentValue + ',' + extensions;
+                } else if (!currentValue) {
+                    extensionInput.value = extensions;
+                }
+                extensionInput.dispatchEvent(new Event('input', { bubbles: true }));
+                debugLog('Extensions dropped:', extensions);
             }
         });
     }
@@ -349,6 +1169,1027 @@ class OptionsManager {
         });
     }
 
+    /**
+     * Show where a folder template will expand to, using sample download details
+     * @param {HTMLInputElement} folderInput - Folder template input
+     * @param {HTMLElement} previewElement - Element to show the preview in
+     * @param {string} ruleName - Rule name for the {rule} token
+     * @param {string} extension - Extension pattern for the {ext} token
+     */
+    async updateFolderPreview(folderInput, previewElement, ruleName, extension) {
+        if (!folderInput || !previewElement) return;
+
+        const template = folderInput.value.trim();
+        if (!template) {
+            previewElement.textContent = '';
+            return;
+        }
+
+        try {
+            const preview = await browserAPI.runtime.sendMessage({
+                type: 'previewFolderTemplate',
+                template,
+                ruleName: ruleName.trim(),
+                extension
+            });
+
+            // Ignore stale responses if the input changed while waiting
+            if (preview && folderInput.value.trim() === template) {
+                previewElement.textContent = `→ ${preview.path}/`;
+            }
+        } catch (error) {
+            debugLog('Error previewing folder template:', error.message);
+            previewElement.textContent = '';
+        }
+    }
+
+    /**
+     * Dry-run the rules currently in the editor, saved or not, against the
+     * download described in the tester fields
+     */
+    async runRuleTest() {
+        const resultElement = document.getElementById('testResult');
+        if (!resultElement) return;
+
+        const valueOf = id => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+
+        const { rules } = await this.collectSettingsFromDom();
+        const ruleElements = Array.from(document.querySelectorAll('.rule-item'));
+        const rowByRuleId = new Map(rules.map(rule => [rule.id, Number(rule.id.replace('rule-', '')) - 1]));
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        const incognitoInput = document.getElementById('testIncognito');
+
+        try {
+            const result = await browserAPI.runtime.sendMessage({
+                type: 'testRules',
+                rules,
+                defaultFolder: defaultFolderInput ? defaultFolderInput.value.trim() : '',
+                url: valueOf('testUrl'),
+                filename: valueOf('testFilename'),
+                mimeType: valueOf('testMimeType'),
+                referrer: valueOf('testReferrer'),
+                size: valueOf('testSize') === '' ? undefined : Number(valueOf('testSize')) * BYTES_PER_MB,
+                incognito: Boolean(incognitoInput && incognitoInput.checked)
+            });
+
+            ruleElements.forEach(element => element.classList.remove('test-match'));
+            this.renderTestResult(resultElement, result, rules, rowByRuleId, ruleElements);
+        } catch (error) {
+            debugLog('Error testing rules:', error.message);
+            this.showNotification('Could not test rules. Please try again.', 'error');
+        }
+    }
+
+    renderTestResult(resultElement, result, rules, rowByRuleId, ruleElements) {
+        resultElement.hidden = false;
+        resultElement.textContent = '';
+        resultElement.className = 'test-result';
+
+        if (!result || result.error) {
+            resultElement.classList.add('test-error');
+            resultElement.textContent = result ? result.error : 'No response from the background script.';
+            return;
+        }
+
+        const describeRule = (index, name) => {
+            const rule = rules[index];
+            const row = rule ? rowByRuleId.get(rule.id) : undefined;
+            const label = `Rule ${row !== undefined ? row + 1 : index + 1}`;
+            return name ? `${label} (${name})` : label;
+        };
+
+        const headline = document.createElement('strong');
+        if (result.matchedIndex >= 0) {
+            headline.textContent = `Matched ${describeRule(result.matchedIndex, result.ruleName)}`;
+
+            const matchedRule = rules[result.matchedIndex];
+            const row = matchedRule ? rowByRuleId.get(matchedRule.id) : undefined;
+            if (row !== undefined && ruleElements[row]) {
+                ruleElements[row].classList.add('test-match');
+            }
+        } else {
+            headline.textContent = 'No rule matched, so the default folder is used';
+        }
+        resultElement.appendChild(headline);
+
+        const path = document.createElement('div');
+        path.className = 'test-path';
+        path.textContent = `Saved as: ${result.path}`;
+        resultElement.appendChild(path);
+
+        if (result.originalFilename && result.originalFilename !== result.filename) {
+            const renamed = document.createElement('div');
+            renamed.className = 'test-path';
+            renamed.textContent = `Renamed from: ${result.originalFilename}`;
+            resultElement.appendChild(renamed);
+        }
+
+        if (result.evaluations.length > 0) {
+            const list = document.createElement('ul');
+            result.evaluations.forEach(evaluation => {
+                const item = document.createElement('li');
+                item.className = evaluation.matched ? 'test-pass' : 'test-fail';
+                item.textContent = `${evaluation.matched ? '✔' : '✘'} ${describeRule(evaluation.index, evaluation.name)}: ` +
+                    evaluation.reasons.join(', ');
+                list.appendChild(item);
+            });
+            resultElement.appendChild(list);
+        }
+
+        if (result.ignoredRules > 0) {
+            const note = document.createElement('div');
+            note.className = 'drag-hint';
+            note.textContent = `${result.ignoredRules} rule(s) were skipped because they are incomplete or invalid.`;
+            resultElement.appendChild(note);
+        }
+    }
+
+    setupProfiles() {
+        const select = document.getElementById('profileSelect');
+        const rulesContainer = document.getElementById('rulesContainer');
+
+        if (select) {
+            select.addEventListener('change', () => this.switchProfile(select.value));
+        }
+        const actions = {
+            newProfile: () => this.createProfile(false),
+            cloneProfile: () => this.createProfile(true),
+            renameProfile: () => this.renameProfile(),
+            deleteProfile: () => this.deleteProfile()
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        this.loadProfiles();
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'getProfiles' });
+            this.profiles = result.profiles || [];
+            this.activeProfileId = result.activeProfileId || 'default';
+            this.renderProfiles();
+        } catch (error) {
+            debugLog('Error loading profiles:', error);
+        }
+    }
+
+    renderProfiles() {
+        const select = document.getElementById('profileSelect');
+        const deleteBtn = document.getElementById('deleteProfile');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeProfileId;
+
+        if (deleteBtn) {
+            deleteBtn.disabled = this.activeProfileId === 'default';
+        }
+    }
+
+    /**
+     * Save pending edits before leaving the profile, and ask before dropping
+     * edits that can't be saved because of errors
+     * @returns {Promise<boolean>} True if it is fine to load other rules
+     */
+    async confirmDiscardChanges() {
+        await this.flushAutosave();
+        return !this.rulesDirty || confirm('Some rule changes in this profile have errors and were not saved. Discard them?');
+    }
+
+    /**
+     * Make a profile active and load its rules into the editor
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async switchProfile(profileId) {
+        if (profileId === this.activeProfileId) return;
+
+        if (!await this.confirmDiscardChanges()) {
+            this.renderProfiles();
+            return;
+        }
+
+        const finishChange = this.beginChange();
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'setActiveProfile', profileId });
+            if (!result || result.error) {
+                this.showNotification(result ? result.error : 'Could not switch profile.', 'error');
+                await this.loadProfiles();
+                return;
+            }
+
+            await this.loadFromStorage();
+            this.renderRules();
+            await this.loadProfiles();
+        } finally {
+            finishChange();
+        }
+        const active = this.profiles.find(profile => profile.id === this.activeProfileId);
+        this.showNotification(`Switched to the ${active ? active.name : 'selected'} profile.`, 'info');
+    }
+
+    async createProfile(clone) {
+        if (!await this.confirmDiscardChanges()) return;
+
+        const current = this.profiles.find(profile => profile.id === this.activeProfileId);
+        const name = prompt(clone && current ? `Name for the copy of "${current.name}":` : 'Name for the new profile:');
+        if (name === null) return;
+
+        const finishChange = this.beginChange();
+        let result;
+        try {
+            result = await browserAPI.runtime.sendMessage({
+                type: 'createProfile',
+                name,
+                cloneFrom: clone ? this.activeProfileId : undefined
+            });
+            if (!result || result.error) {
+                this.showNotification(result ? result.error : 'Could not create profile.', 'error');
+                return;
+            }
+
+            // Creating a profile leaves the rules in the editor as they were saved
+            this.revision = result.revision;
+        } finally {
+            finishChange();
+        }
+
+        this.rulesDirty = false;
+        await this.switchProfile(result.profile.id);
+    }
+
+    async renameProfile() {
+        const current = this.profiles.find(profile => profile.id === this.activeProfileId);
+        if (!current) return;
+
+        const name = prompt('New profile name:', current.name);
+        if (name === null) return;
+
+        const result = await browserAPI.runtime.sendMessage({ type: 'renameProfile', profileId: current.id, name });
+        if (!result || result.error) {
+            this.showNotification(result ? result.error : 'Could not rename profile.', 'error');
+            return;
+        }
+        await this.loadProfiles();
+    }
+
+    async deleteProfile() {
+        const current = this.profiles.find(profile => profile.id === this.activeProfileId);
+        if (!current || current.id === 'default') return;
+
+        if (!confirm(`Delete the "${current.name}" profile and its rules?`)) return;
+
+        const finishChange = this.beginChange();
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'deleteProfile', profileId: current.id });
+            if (!result || result.error) {
+                this.showNotification(result ? result.error : 'Could not delete profile.', 'error');
+                return;
+            }
+
+            await this.loadFromStorage();
+            this.renderRules();
+            await this.loadProfiles();
+        } finally {
+            finishChange();
+        }
+        this.showNotification(`Deleted the "${current.name}" profile.`, 'success');
+    }
+
+    setupImportExport() {
+        const exportBtn = document.getElementById('exportRules');
+        const importBtn = document.getElementById('importRules');
+        const fileInput = document.getElementById('importFile');
+        const applyBtn = document.getElementById('applyImport');
+        const cancelBtn = document.getElementById('cancelImport');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportRules());
+        }
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files && fileInput.files[0]) {
+                    this.readImportFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+        document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderImportPreview());
+        });
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyImport());
+        }
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancelImport());
+        }
+    }
+
+    async exportRules() {
+        try {
+            const { rules, defaultFolder } = await this.collectSettingsFromDom();
+            const data = await browserAPI.runtime.sendMessage({ type: 'exportRules', rules, defaultFolder });
+
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `download-sorter-rules-${data.exportedAt.substring(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            debugLog('Rules exported:', data.rules.length);
+        } catch (error) {
+            debugLog('Error exporting rules:', error.message);
+            this.showNotification('Error exporting rules. Please try again.', 'error');
+        }
+    }
+
+    async readImportFile(file) {
+        try {
+            if (file.size > 1024 * 1024) {
+                this.showNotification('That file is too large to be a rules file.', 'error');
+                return;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (parseError) {
+                this.showNotification('That file is not valid JSON.', 'error');
+                return;
+            }
+
+            const imported = await browserAPI.runtime.sendMessage({ type: 'parseRuleSet', data });
+            if (!imported || imported.error) {
+                this.showNotification(imported ? imported.error : 'Could not read the rules file.', 'error');
+                return;
+            }
+
+            this.pendingImport = { ...imported, fileName: file.name };
+            this.renderImportPreview();
+            debugLog('Import parsed:', { rules: imported.rules.length, rejected: imported.rejected });
+        } catch (error) {
+            debugLog('Error importing rules:', error.message);
+            this.showNotification('Error reading the rules file.', 'error');
+        }
+    }
+
+    getImportMode() {
+        const selected = document.querySelector('input[name="importMode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
+
+    ruleConditionKey(rule) {
+        return [rule.extension, rule.source, rule.mime]
+            .map(value => String(value || '').toLowerCase().replace(/\s/g, ''))
+            .concat(JSON.stringify(rule.conditions || null))
+            .join('|');
+    }
+
+    /**
+     * Work out the rules and default folder an import would produce
+     * @param {Array} currentRules - Rules currently in the editor
+     * @param {string} currentDefault - Default folder currently in the editor
+     * @param {Object} imported - Parsed import
+     * @param {string} mode - "merge" or "replace"
+     * @returns {Object} Resulting rules and default folder, plus the diff
+     */
+    computeImport(currentRules, currentDefault, imported, mode) {
+        const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+        const isChanged = (existing, rule) =>
+            existing.foldername !== rule.foldername || (existing.name || '') !== (rule.name || '') ||
+            (existing.enabled !== false) !== (rule.enabled !== false) ||
+            JSON.stringify(existing.rename || null) !== JSON.stringify(rule.rename || null) ||
+            (existing.duplicatePolicy || 'uniquify') !== (rule.duplicatePolicy || 'uniquify');
+
+        if (mode === 'replace') {
+            const importedKeys = new Set(imported.rules.map(rule => this.ruleConditionKey(rule)));
+            const currentByKey = new Map(currentRules.map(rule => [this.ruleConditionKey(rule), rule]));
+
+            imported.rules.forEach(rule => {
+                const existing = currentByKey.get(this.ruleConditionKey(rule));
+                if (!existing) {
+                    diff.added.push(rule);
+                } else if (isChanged(existing, rule)) {
+                    diff.changed.push({ from: existing, to: rule });
+                } else {
+                    diff.unchanged++;
+                }
+            });
+            diff.removed = currentRules.filter(rule => !importedKeys.has(this.ruleConditionKey(rule)));
+
+            return {
+                rules: imported.rules,
+                defaultFolder: imported.defaultFolder || currentDefault,
+                diff
+            };
+        }
+
+        // Merge: imported rules update existing rules with the same conditions, others are appended
+        const rules = currentRules.map(rule => ({ ...rule }));
+        const indexByKey = new Map(rules.map((rule, index) => [this.ruleConditionKey(rule), index]));
+
+        imported.rules.forEach(rule => {
+            const key = this.ruleConditionKey(rule);
+            if (!indexByKey.has(key)) {
+                indexByKey.set(key, rules.length);
+                rules.push(rule);
+                diff.added.push(rule);
+                return;
+            }
+
+            const existing = rules[indexByKey.get(key)];
+            if (isChanged(existing, rule)) {
+                diff.changed.push({ from: existing, to: rule });
+                rules[indexByKey.get(key)] = {
+                    ...existing,
+                    name: rule.name,
+                    foldername: rule.foldername,
+                    enabled: rule.enabled,
+                    rename: rule.rename,
+                    duplicatePolicy: rule.duplicatePolicy
+                };
+            } else {
+                diff.unchanged++;
+            }
+        });
+
+        return { rules, defaultFolder: currentDefault, diff };
+    }
+
+    describeRuleConditions(rule) {
+        if (rule.conditions) {
+            return this.describeConditionTree(rule.conditions) + (rule.enabled === false ? ' (off)' : '');
+        }
+
+        const parts = [];
+        if (rule.extension) parts.push(rule.extension);
+        if (rule.source) parts.push(`from ${rule.source}`);
+        if (rule.mime) parts.push(`type ${rule.mime}`);
+        return parts.join(', ') + (rule.enabled === false ? ' (off)' : '');
+    }
+
+    describeConditionTree(node, nested = false) {
+        let text;
+        if (node.type === 'all' || node.type === 'any') {
+            text = node.conditions.map(child => this.describeConditionTree(child, true))
+                .join(node.type === 'all' ? ' AND ' : ' OR ');
+            if (nested && node.conditions.length > 1) {
+                text = `(${text})`;
+            }
+        } else if (node.type === 'size') {
+            const size = bytes => this.formatBytes(bytes);
+            text = [
+                node.min !== null ? `size ≥ ${size(node.min)}` : '',
+                node.max !== null ? `size ≤ ${size(node.max)}` : ''
+            ].filter(Boolean).join(' AND ');
+        } else {
+            const labels = {
+                extension: value => value,
+                filename: value => `name ${value}`,
+                filenameRegex: value => `name /${value}/`,
+                domain: value => `from ${value}`,
+                mime: value => `type ${value}`,
+                private: () => 'private window'
+            };
+            text = (labels[node.type] || (value => value))(node.value);
+        }
+        return node.negate ? `NOT ${text}` : text;
+    }
+
+    async renderImportPreview() {
+        const preview = document.getElementById('importPreview');
+        const diffList = document.getElementById('importDiff');
+        if (!preview || !diffList || !this.pendingImport) return;
+
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        const currentDefault = defaultFolderInput ? defaultFolderInput.value.trim() : this.defaultFolder;
+        const { rules } = await this.collectSettingsFromDom();
+        const result = this.computeImport(
+            rules,
+            currentDefault,
+            this.pendingImport,
+            this.getImportMode()
+        );
+
+        const lines = [];
+        result.diff.added.forEach(rule => {
+            lines.push(['import-added', `+ ${this.describeRuleConditions(rule)} → ${rule.foldername}`]);
+        });
+        result.diff.changed.forEach(({ from, to }) => {
+            lines.push(['import-changed', `~ ${this.describeRuleConditions(to)}: ${from.foldername} → ${to.foldername}`]);
+        });
+        result.diff.removed.forEach(rule => {
+            lines.push(['import-removed', `− ${this.describeRuleConditions(rule)} → ${rule.foldername}`]);
+        });
+        if (result.defaultFolder !== currentDefault) {
+            lines.push(['import-changed', `~ Default folder: ${currentDefault} → ${result.defaultFolder}`]);
+        }
+
+        diffList.textContent = '';
+        const summary = document.createElement('li');
+        summary.className = 'drag-hint';
+        summary.textContent = `${this.pendingImport.fileName}: ${result.diff.added.length} added, ` +
+            `${result.diff.changed.length} changed, ${result.diff.removed.length} removed, ` +
+            `${result.diff.unchanged} unchanged` +
+            (this.pendingImport.rejected > 0 ? `, ${this.pendingImport.rejected} invalid rule(s) skipped` : '');
+        diffList.appendChild(summary);
+
+        lines.forEach(([className, text]) => {
+            const item = document.createElement('li');
+            item.className = className;
+            item.textContent = text;
+            diffList.appendChild(item);
+        });
+
+        this.pendingImport.result = result;
+        preview.hidden = false;
+    }
+
+    async applyImport() {
+        if (!this.pendingImport || !this.pendingImport.result) return;
+
+        const { rules, defaultFolder } = this.pendingImport.result;
+        this.rules = rules;
+        this.defaultFolder = defaultFolder;
+
+        const defaultFolderInput = document.getElementById('defaultFolder');
+        if (defaultFolderInput) {
+            defaultFolderInput.value = defaultFolder;
+            defaultFolderInput.dispatchEvent(new Event('input'));
+        }
+
+        this.renderRules();
+        this.cancelImport();
+        await this.saveToStorage();
+        debugLog('Import applied:', { rules: rules.length, defaultFolder });
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        const preview = document.getElementById('importPreview');
+        if (preview) {
+            preview.hidden = true;
+        }
+    }
+
+    setupActivityLog() {
+        const searchInput = document.getElementById('logSearch');
+        const outcomeSelect = document.getElementById('logOutcome');
+        const refreshBtn = document.getElementById('refreshLog');
+        const clearBtn = document.getElementById('clearLog');
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.renderActivityLog());
+        }
+        if (outcomeSelect) {
+            outcomeSelect.addEventListener('change', () => this.renderActivityLog());
+        }
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadActivityLog());
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearActivityLog());
+        }
+
+        // Keep the view current while downloads progress
+        browserAPI.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.activityLog) {
+                this.activityLog = changes.activityLog.newValue || [];
+                this.renderActivityLog();
+            }
+        });
+
+        this.loadActivityLog();
+    }
+
+    async loadActivityLog() {
+        try {
+            const entries = await browserAPI.runtime.sendMessage({ type: 'getActivityLog' });
+            this.activityLog = Array.isArray(entries) ? entries : [];
+            this.renderActivityLog();
+        } catch (error) {
+            debugLog('Error loading activity log:', error.message);
+        }
+    }
+
+    async clearActivityLog() {
+        if (!confirm('Clear the activity log? This cannot be undone.')) return;
+
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'clearActivityLog' });
+            this.activityLog = [];
+            this.renderActivityLog();
+            this.showNotification('Activity log cleared', 'success');
+        } catch (error) {
+            debugLog('Error clearing activity log:', error.message);
+            this.showNotification('Error clearing the activity log.', 'error');
+        }
+    }
+
+    renderActivityLog() {
+        const tbody = document.getElementById('logEntries');
+        const summary = document.getElementById('logSummary');
+        if (!tbody) return;
+
+        const searchInput = document.getElementById('logSearch');
+        const outcomeSelect = document.getElementById('logOutcome');
+        const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+        const outcome = outcomeSelect ? outcomeSelect.value : '';
+
+        const entries = this.activityLog.filter(entry => {
+            if (outcome && entry.outcome !== outcome) return false;
+            if (!query) return true;
+            return [entry.url, entry.originalName, entry.ruleName, entry.path, entry.error]
+                .some(value => String(value || '').toLowerCase().includes(query));
+        });
+
+        tbody.textContent = '';
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            const cells = [
+                new Date(entry.time).toLocaleString(),
+                entry.originalName || '',
+                entry.ruleName || 'default folder',
+                entry.path || '',
+                entry.error ? `${entry.outcome}: ${entry.error}` : entry.outcome
+            ];
+
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 1) cell.title = entry.url || '';
+                if (index === 4) cell.className = `log-outcome log-${entry.outcome}`;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'log-actions';
+            if (entry.outcome === 'complete' && entry.downloadId !== undefined) {
+                const showBtn = document.createElement('button');
+                showBtn.type = 'button';
+                showBtn.className = 'btn btn-secondary';
+                showBtn.textContent = 'Show';
+                showBtn.addEventListener('click', () => this.showDownload(entry));
+                actions.appendChild(showBtn);
+
+                const resortBtn = document.createElement('button');
+                resortBtn.type = 'button';
+                resortBtn.className = 'btn btn-secondary';
+                resortBtn.textContent = 'Re-sort';
+                resortBtn.addEventListener('click', () => this.resortDownload(entry));
+                actions.appendChild(resortBtn);
+            }
+            row.appendChild(actions);
+
+            tbody.appendChild(row);
+        });
+
+        if (summary) {
+            summary.textContent = this.activityLog.length === 0
+                ? 'No downloads recorded yet.'
+                : `Showing ${entries.length} of ${this.activityLog.length} recorded downloads.`;
+        }
+    }
+
+    async showDownload(entry) {
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'showDownload', downloadId: entry.downloadId });
+        } catch (error) {
+            debugLog('Error showing download:', error.message);
+            this.showNotification('That file is no longer in the downloads list.', 'error');
+        }
+    }
+
+    /**
+     * Move a completed download to another folder. The file is downloaded
+     * again and the original removed once the new copy is complete.
+     * @param {Object} entry - Activity log entry
+     * @returns {Promise<void>}
+     */
+    async resortDownload(entry) {
+        const folder = prompt(
+            `Move "${entry.originalName || 'this file'}" to which folder? Templates such as docs/{yyyy} work too.`,
+            entry.folder || this.defaultFolder
+        );
+        if (folder === null) return;
+
+        try {
+            const result = await browserAPI.runtime.sendMessage({
+                type: 'resortDownload',
+                downloadId: entry.downloadId,
+                folder: folder.trim()
+            });
+            if (!result || result.error) {
+                this.showNotification(result ? result.error : 'Could not re-sort the download.', 'error');
+                return;
+            }
+            this.showNotification(`Moving to ${result.folder}…`, 'info');
+        } catch (error) {
+            debugLog('Error re-sorting download:', error.message);
+            this.showNotification('Could not re-sort the download.', 'error');
+        }
+    }
+
+    setupStatistics() {
+        const refreshBtn = document.getElementById('refreshStats');
+        const resetBtn = document.getElementById('resetStats');
+
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadStatistics());
+        }
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetStatistics());
+        }
+
+        this.loadStatistics();
+    }
+
+    async loadStatistics() {
+        try {
+            const stats = await browserAPI.runtime.sendMessage({ type: 'getStats' });
+            this.renderStatistics(stats);
+        } catch (error) {
+            debugLog('Error loading statistics:', error.message);
+        }
+    }
+
+    async resetStatistics() {
+        if (!confirm('Reset all statistics? This cannot be undone.')) return;
+
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'resetStats' });
+            await this.loadStatistics();
+            this.showNotification('Statistics reset', 'success');
+        } catch (error) {
+            debugLog('Error resetting statistics:', error.message);
+            this.showNotification('Error resetting statistics.', 'error');
+        }
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const power = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return `${(bytes / Math.pow(1024, power)).toFixed(power === 0 ? 0 : 1)} ${units[power]}`;
+    }
+
+    formatDay(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    renderStatistics(stats) {
+        if (!stats || !stats.total) return;
+
+        const summary = document.getElementById('statsSummary');
+        if (summary) {
+            const defaultShare = stats.total.count > 0 ? Math.round((stats.defaultCount / stats.total.count) * 100) : 0;
+            summary.textContent = stats.total.count === 0
+                ? 'No completed downloads recorded yet.'
+                : `${stats.total.count} downloads (${this.formatBytes(stats.total.bytes)}) since ` +
+                    `${new Date(stats.since).toLocaleDateString()}; ${defaultShare}% fell through to the default folder.`;
+        }
+
+        const bySize = bucket => Object.entries(bucket || {}).sort((a, b) => b[1].count - a[1].count);
+        this.renderStatsTable('statsRules', bySize(stats.byRule)
+            .map(([name, value]) => [name, `${value.count}`, this.formatBytes(value.bytes)]));
+        this.renderStatsTable('statsFolders', bySize(stats.byFolder)
+            .map(([name, value]) => [name, `${value.count}`, this.formatBytes(value.bytes)]));
+        this.renderStatsTable('statsDomains', Object.entries(stats.byDomain || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([domain, count]) => [domain, `${count}`]));
+
+        // Daily and weekly trends, oldest first, including days without downloads
+        const days = [];
+        const weeks = new Map();
+        const today = new Date();
+        for (let offset = 55; offset >= 0; offset--) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            const day = this.formatDay(date);
+            const count = stats.byDay && stats.byDay[day] ? stats.byDay[day].count : 0;
+
+            if (offset < 14) {
+                days.push([day.substring(5), count]);
+            }
+
+            const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+            const week = `wk ${this.formatDay(weekStart).substring(5)}`;
+            weeks.set(week, (weeks.get(week) || 0) + count);
+        }
+        this.renderStatsBars('statsDaily', days);
+        this.renderStatsBars('statsWeekly', Array.from(weeks.entries()).slice(-8));
+
+        const fallthroughList = document.getElementById('statsFallthrough');
+        if (fallthroughList) {
+            fallthroughList.textContent = '';
+            const extensions = Object.entries(stats.fallthrough || {})
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10);
+
+            if (extensions.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = 'Nothing yet.';
+                fallthroughList.appendChild(item);
+            }
+
+            extensions.forEach(([extension, count]) => {
+                const item = document.createElement('li');
+                const label = document.createElement('span');
+                label.textContent = `.${extension} — ${count} file(s)`;
+                item.appendChild(label);
+
+                if (extension !== '(none)') {
+                    const createBtn = document.createElement('button');
+                    createBtn.type = 'button';
+                    createBtn.className = 'btn btn-primary';
+                    createBtn.textContent = 'Create rule';
+                    createBtn.addEventListener('click', () => this.createRuleForExtension(extension));
+                    item.appendChild(createBtn);
+                }
+                fallthroughList.appendChild(item);
+            });
+        }
+    }
+
+    renderStatsTable(elementId, rows) {
+        const tbody = document.getElementById(elementId);
+        if (!tbody) return;
+
+        tbody.textContent = '';
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
+    renderStatsBars(elementId, rows) {
+        const container = document.getElementById(elementId);
+        if (!container) return;
+
+        const max = Math.max(1, ...rows.map(([, count]) => count));
+        container.textContent = '';
+        rows.forEach(([label, count]) => {
+            const row = document.createElement('div');
+            row.className = 'stats-bar-row';
+
+            const labelElement = document.createElement('span');
+            labelElement.textContent = label;
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.style.width = `${(count / max) * 100}%`;
+            const countElement = document.createElement('span');
+            countElement.textContent = count;
+
+            row.append(labelElement, bar, countElement);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Add an editor row for an extension that keeps falling through to the default folder
+     * @param {string} extension - File extension
+     */
+    createRuleForExtension(extension) {
+        this.addRule(extension, this.suggestFolderName(extension));
+
+        const rows = document.querySelectorAll('#rulesContainer .rule-item');
+        const newRow = rows[rows.length - 1];
+        if (newRow) {
+            newRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            newRow.querySelector('.rule-folder').focus();
+        }
+        this.showNotification(`Added a rule for .${extension}. Check the folder; changes are saved automatically.`, 'info');
+    }
+
+    setupDiagnostics() {
+        const verboseInput = document.getElementById('verboseLogging');
+        const refreshBtn = document.getElementById('refreshDiagnostics');
+        const exportBtn = document.getElementById('exportDiagnostics');
+        const clearBtn = document.getElementById('clearDiagnostics');
+
+        if (verboseInput) {
+            verboseInput.addEventListener('change', () => this.setVerboseLogging(verboseInput.checked));
+        }
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.loadDiagnostics());
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportDiagnostics());
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearDiagnostics());
+        }
+
+        this.loadDiagnostics();
+    }
+
+    async loadDiagnostics() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'getDiagnostics' });
+            this.renderDiagnostics(result);
+        } catch (error) {
+            debugLog('Error loading diagnostics:', error.message);
+        }
+    }
+
+    async setVerboseLogging(verbose) {
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'setVerboseLogging', verbose });
+            verboseLogging = verbose;
+            this.showNotification(verbose ? 'Verbose logging enabled' : 'Verbose logging disabled', 'info');
+            await this.loadDiagnostics();
+        } catch (error) {
+            debugLog('Error changing verbose logging:', error.message);
+            this.showNotification('Could not change verbose logging.', 'error');
+        }
+    }
+
+    async clearDiagnostics() {
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'clearDiagnostics' });
+            await this.loadDiagnostics();
+        } catch (error) {
+            debugLog('Error clearing diagnostics:', error.message);
+        }
+    }
+
+    /**
+     * Download a redacted diagnostics report for attaching to bug reports
+     * @returns {Promise<void>}
+     */
+    async exportDiagnostics() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'exportDiagnostics' });
+            const blob = new Blob([result.text], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `download-sorter-diagnostics-${new Date().toISOString().slice(0, 10)}.txt`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            debugLog('Error exporting diagnostics:', error.message);
+            this.showNotification('Could not export diagnostics.', 'error');
+        }
+    }
+
+    renderDiagnostics(result) {
+        if (!result) return;
+
+        const verboseInput = document.getElementById('verboseLogging');
+        const apiList = document.getElementById('apiStatus');
+        const logOutput = document.getElementById('diagnosticsLog');
+
+        if (verboseInput) {
+            verboseInput.checked = result.verbose;
+        }
+
+        if (apiList) {
+            apiList.textContent = '';
+            Object.entries(result.apis || {}).forEach(([name, available]) => {
+                const item = document.createElement('li');
+                item.className = available ? 'test-pass' : 'test-fail';
+                item.textContent = `${available ? '✔' : '✘'} ${name}`;
+                apiList.appendChild(item);
+            });
+        }
+
+        if (logOutput) {
+            const entries = result.entries || [];
+            logOutput.textContent = entries.length === 0
+                ? 'No log entries yet.'
+                : entries.map(entry => `${new Date(entry.time).toLocaleTimeString()} ${entry.message}`).join('\n');
+            logOutput.scrollTop = logOutput.scrollHeight;
+        }
+    }
+
     suggestFolderName(extensions) {
         const ext = extensions.toLowerCase();
         
@@ -367,13 +2208,23 @@ class OptionsManager {
 
     async resetToDefaults() {
         if (confirm('Reset all settings to defaults? This will remove all custom rules.')) {
-            this.rules = this.getDefaultRules();
-            this.defaultFolder = 'downloads';
+            let defaults;
+            try {
+                defaults = await browserAPI.runtime.sendMessage({ type: 'getDefaults' });
+            } catch (error) {
+                debugLog('Error loading default settings:', error.message);
+                this.showNotification('Error resetting settings. Please try again.', 'error');
+                return;
+            }
+
+            this.rules = defaults.rules;
+            this.defaultFolder = defaults.defaultFolder;
             
             // Update UI
             const defaultFolderInput = document.getElementById('defaultFolder');
             if (defaultFolderInput) {
                 defaultFolderInput.value = this.defaultFolder;
+                defaultFolderInput.dispatchEvent(new Event('input'));
             }
             
             this.renderRules();
@@ -389,7 +2240,7 @@ class OptionsManager {
         container.innerHTML = '';
         
         this.rules.forEach(rule => {
-            const ruleElement = this.createRuleElement(rule.extension, rule.foldername);
+            const ruleElement = this.createRuleElement(rule);
             container.appendChild(ruleElement);
         });
         
@@ -404,7 +2255,7 @@ class OptionsManager {
             position: fixed;
             top: 20px;
             right: 20px;
-            background: ${type === 'error' ? '#e74c3c' : type === 'success' ? '#27ae60' : '#3498db'};
+            background: ${{ error: '#e74c3c', success: '#27ae60', warning: '#e67e22' }[type] || '#3498db'};
             color: white;
             padding: 15px 20px;
             border-radius: 4px;
@@ -0,0 +1,169 @@
+/**
+ * Download Sorter Toolbar Popup
+ * Quick profile switching from the toolbar button
+ * 
+ * @author Will Harrys
+ * @version 1.0
+ * @license MIT
+ */
+
+// Use browser namespace for Firefox compatibility, with chrome fallback
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Production configuration - set DEBUG to false for release builds.
+// Verbose logging can also be switched on at runtime from the options page.
+const DEBUG = false;
+let verboseLogging = false;
+const EXTENSION_NAME = 'Download Sorter Popup';
+
+/**
+ * Secure logging function that only logs in debug or verbose mode
+ * @param {...any} args - Arguments to log
+ */
+function debugLog(...args) {
+    if (DEBUG || verboseLogging) {
+        console.log(`[${EXTENSION_NAME}]`, new Date().toISOString(), ...args);
+    }
+}
+
+class PopupManager {
+    constructor() {
+        this.profiles = [];
+        this.activeProfileId = 'default';
+        this.paused = false;
+        this.init();
+    }
+
+    async init() {
+        try {
+            const result = await browserAPI.storage.local.get('verboseLogging');
+            verboseLogging = result.verboseLogging === true;
+        } catch (error) {
+            debugLog('Could not read the verbose logging setting:', error);
+        }
+
+        const select = document.getElementById('profileSelect');
+        const optionsBtn = document.getElementById('openOptions');
+        const pauseBtn = document.getElementById('togglePause');
+
+        if (select) {
+            select.addEventListener('change', () => this.switchProfile(select.value));
+        }
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        if (optionsBtn) {
+            optionsBtn.addEventListener('click', () => {
+                browserAPI.runtime.openOptionsPage();
+                window.close();
+            });
+        }
+
+        await this.loadSortingState();
+        await this.loadProfiles();
+    }
+
+    async loadSortingState() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'getSortingState' });
+            this.paused = result.paused === true;
+        } catch (error) {
+            debugLog('Error loading sorting state:', error);
+        }
+        this.renderSortingState();
+    }
+
+    renderSortingState() {
+        const state = document.getElementById('sortingState');
+        const pauseBtn = document.getElementById('togglePause');
+
+        if (state) {
+            state.textContent = this.paused ? 'Sorting is paused' : 'Sorting is on';
+        }
+        if (pauseBtn) {
+            pauseBtn.textContent = this.paused ? 'Resume' : 'Pause';
+            pauseBtn.classList.toggle('paused', this.paused);
+        }
+    }
+
+    /**
+     * Pause or resume sorting on this device
+     * @returns {Promise<void>}
+     */
+    async togglePause() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'setSortingPaused', paused: !this.paused });
+            this.paused = result.paused === true;
+            this.renderSortingState();
+        } catch (error) {
+            debugLog('Error toggling pause:', error);
+            this.setStatus('Could not change the sorting state.');
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'getProfiles' });
+            this.profiles = result.profiles || [];
+            this.activeProfileId = result.activeProfileId || 'default';
+            this.renderProfiles();
+        } catch (error) {
+            debugLog('Error loading profiles:', error);
+            this.setStatus('Could not load profiles.');
+        }
+    }
+
+    renderProfiles() {
+        const select = document.getElementById('profileSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeProfileId;
+        select.disabled = this.profiles.length < 2;
+
+        this.setStatus(this.profiles.length < 2 ? 'Create more profiles in the settings.' : '');
+    }
+
+    /**
+     * Make a profile active for new downloads
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async switchProfile(profileId) {
+        try {
+            const result = await browserAPI.runtime.sendMessage({ type: 'setActiveProfile', profileId });
+            if (!result || result.error) {
+                this.setStatus(result ? result.error : 'Could not switch profile.');
+                await this.loadProfiles();
+                return;
+            }
+
+            this.activeProfileId = profileId;
+            const active = this.profiles.find(profile => profile.id === profileId);
+            this.setStatus(`Now sorting with the ${active ? active.name : 'selected'} profile.`);
+        } catch (error) {
+            debugLog('Error switching profile:', error);
+            this.setStatus('Could not switch profile.');
+        }
+    }
+
+    setStatus(text) {
+        const status = document.getElementById('popupStatus');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => new PopupManager());
+} else {
+    new PopupManager();
+}
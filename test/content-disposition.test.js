@@ -0,0 +1,30 @@
+/**
+ * Checks the Content-Disposition parser against the header fixtures
+ *
+ * Run with: node test/content-disposition.test.js
+ */
+
+const assert = require('assert');
+const ContentDisposition = require('../content-disposition.js');
+const fixtures = require('./fixtures/content-disposition.json');
+
+let failed = 0;
+
+for (const fixture of fixtures) {
+    const result = ContentDisposition.parse(fixture.header);
+    const actual = result && { type: result.type, filename: result.filename };
+
+    try {
+        assert.deepStrictEqual(actual, fixture.expected);
+        console.log(`ok - ${fixture.name}`);
+    } catch {
+        failed++;
+        console.log(`not ok - ${fixture.name}`);
+        console.log(`  header:   ${JSON.stringify(fixture.header)}`);
+        console.log(`  expected: ${JSON.stringify(fixture.expected)}`);
+        console.log(`  actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+console.log(`\n${fixtures.length - failed}/${fixtures.length} passed`);
+process.exitCode = failed ? 1 : 0;